@@ -0,0 +1,147 @@
+/**
+ * Live code editor for Strudel programs: CodeMirror with JavaScript and mini-notation highlighting,
+ * bracket matching, multiple cursors and completion of Strudel functions, sample names and scales.
+ * When CodeMirror did not load, the plain textarea keeps working behind the same methods.
+ * @class
+ */
+class CodeEditor {
+    /**
+     * @param {HTMLTextAreaElement} textarea - Element the editor takes over.
+     * @param {{onRun?: Function, onStop?: Function, onInput?: Function, completions?: Function}} options - Callbacks for
+     *   Ctrl+Enter, Ctrl+. and edits made by the user, and a source of `{functions, methods, sounds, scales}` names.
+     */
+    constructor(textarea, { onRun = null, onStop = null, onInput = null, completions = null } = {}) {
+        this.textarea = textarea;
+        this.completions = completions;
+        this.cm = null;
+        if (typeof CodeMirror === 'undefined') {
+            if (onInput) textarea.addEventListener('input', onInput);
+            return;
+        }
+        CodeEditor.defineMode();
+        const run = () => onRun && onRun();
+        const stop = () => onStop && onStop();
+        this.cm = CodeMirror.fromTextArea(textarea, {
+            mode: 'strudel',
+            theme: 'cyber',
+            lineNumbers: true,
+            lineWrapping: true,
+            indentUnit: 4,
+            matchBrackets: true,
+            autoCloseBrackets: true,
+            keyMap: CodeMirror.keyMap.sublime ? 'sublime' : 'default',
+            extraKeys: {
+                'Ctrl-Enter': run,
+                'Cmd-Enter': run,
+                'Ctrl-.': stop,
+                'Cmd-.': stop,
+                'Ctrl-/': 'toggleComment',
+                'Cmd-/': 'toggleComment',
+                'Ctrl-Space': 'autocomplete',
+                Tab: cm => (cm.somethingSelected() ? cm.indentSelection('add') : cm.execCommand('insertSoftTab')),
+                'Shift-Tab': 'indentLess'
+            },
+            hintOptions: { hint: cm => this.hint(cm), completeSingle: false }
+        });
+        this.cm.getWrapperElement().classList.add('code-editor');
+        // setValue() is the app writing code, which the textarea's input event never reported either
+        this.cm.on('change', (cm, change) => {
+            if (change.origin !== 'setValue' && onInput) onInput();
+        });
+        this.cm.on('inputRead', (cm, change) => {
+            if (!cm.state.completionActive && /[\w.]$/.test(change.text.join(''))) cm.showHint();
+        });
+    }
+
+    getValue() {
+        return this.cm ? this.cm.getValue() : this.textarea.value;
+    }
+
+    setValue(code) {
+        if (!this.cm) {
+            this.textarea.value = code;
+            return;
+        }
+        if (code === this.cm.getValue()) return;
+        // Mixer and deck updates rewrite the whole program; keep the performer where they were
+        const cursor = this.cm.getCursor();
+        const { left, top } = this.cm.getScrollInfo();
+        this.cm.setValue(code);
+        this.cm.setCursor(cursor);
+        this.cm.scrollTo(left, top);
+    }
+
+    focus() {
+        if (this.cm) this.cm.focus();
+        else this.textarea.focus();
+    }
+
+    hint(cm) {
+        const cursor = cm.getCursor();
+        const before = cm.getLine(cursor.line).slice(0, cursor.ch);
+        const token = cm.getTokenAt(cursor);
+        const names = this.completions ? this.completions() : {};
+        let word;
+        let list;
+        if (/string/.test(token.type || '')) {
+            // Inside a string everything is mini-notation: sample names, or scales after .scale(
+            word = /[\w#]*$/.exec(before)[0];
+            const opening = cm.getRange(CodeMirror.Pos(cursor.line, 0), CodeMirror.Pos(cursor.line, token.start));
+            list = /scale\(\s*$/.test(opening) ? names.scales : names.sounds;
+        } else {
+            word = /[A-Za-z_$][\w$]*$/.exec(before)?.[0] || '';
+            const method = before.slice(0, before.length - word.length).trimEnd().endsWith('.');
+            if (!word && !method) return null;
+            const pool = (method ? names.methods : names.functions) || [];
+            list = [...CodeEditor.common.filter(name => pool.length === 0 || pool.includes(name)), ...[...pool].sort()];
+        }
+        const matches = [...new Set(list || [])].filter(name => name.startsWith(word) && name !== word).slice(0, 100);
+        if (matches.length === 0) return null;
+        return { list: matches, from: CodeMirror.Pos(cursor.line, cursor.ch - word.length), to: cursor };
+    }
+
+    static defineMode() {
+        if (CodeMirror.modes.strudel) return;
+        CodeMirror.defineMode('strudel', config => CodeMirror.overlayMode(CodeMirror.getMode(config, 'javascript'), {
+            // Strudel reads every quoted string as mini-notation, so the overlay only looks inside quotes
+            startState: () => ({ quote: null }),
+            copyState: state => ({ quote: state.quote }),
+            token(stream, state) {
+                if (stream.sol() && state.quote !== '`') state.quote = null;
+                if (!state.quote) {
+                    if (stream.match('//')) {
+                        stream.skipToEnd();
+                        return null;
+                    }
+                    const ch = stream.next();
+                    if (ch === '"' || ch === "'" || ch === '`') state.quote = ch;
+                    else stream.eatWhile(/[^"'`/]/);
+                    return null;
+                }
+                if (stream.peek() === state.quote) {
+                    stream.next();
+                    state.quote = null;
+                    return null;
+                }
+                if (stream.match(/^\\./) || (state.quote === '`' && stream.match(/^\$\{[^}]*\}/))) return null;
+                if (stream.match(/^[[\]<>{}()]/)) return 'mini-bracket';
+                if (stream.match(/^~/)) return 'mini-rest';
+                if (stream.match(/^[*/!@?%:,|_.]/)) return 'mini-operator';
+                if (stream.match(/^-?\d+(\.\d+)?/)) return 'mini-number';
+                if (stream.match(/^[A-Za-z][\w#]*/)) return 'mini-word';
+                stream.next();
+                return null;
+            }
+        }));
+    }
+
+    static get common() {
+        // Offered first, ahead of everything else Strudel defines
+        return [
+            's', 'sound', 'note', 'n', 'stack', 'cat', 'seq', 'samples', 'setCps', 'sine', 'saw', 'tri', 'square', 'perlin', 'rand',
+            'bank', 'scale', 'struct', 'euclid', 'fast', 'slow', 'rev', 'jux', 'every', 'sometimes', 'degradeBy', 'off', 'ply',
+            'chop', 'gain', 'pan', 'speed', 'lpf', 'lpq', 'hpf', 'vowel', 'room', 'delay', 'attack', 'decay', 'sustain', 'release',
+            'distort', 'crush', 'phaser', 'fm', 'range', 'segment', 'pianoroll', 'scope', 'spectrum'
+        ];
+    }
+}
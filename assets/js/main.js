@@ -13,19 +13,68 @@ class CyberStrudel {
             cp: Array(8).fill(false)
         };
         this.trackStates = {
-            bd: { muted: false, solo: false, steps: 8, sound: 'bd' },
-            sd: { muted: false, solo: false, steps: 8, sound: 'sd' },
-            hh: { muted: false, solo: false, steps: 8, sound: 'hh' },
-            cp: { muted: false, solo: false, steps: 8, sound: 'cp' }
+            bd: this.createTrackState({ sound: 'bd' }),
+            sd: this.createTrackState({ sound: 'sd' }),
+            hh: this.createTrackState({ sound: 'hh' }),
+            cp: this.createTrackState({ sound: 'cp' })
         };
-        this.synthParams = {
+        this.sequencerSettings = {
+            groove: 'mpc16',
+            swing: 0,
+            polymeter: false,
+            stepsPerCycle: 16,
+            kit: 'dirt'
+        };
+        this.customKits = {};
+        this.gridZoom = 16;
+        this.maxSteps = 64;
+        this.synthDefaults = {
             lpf: 800,
             lpq: 1,
             room: 0.5,
             delay: 0.3,
+            hpf: 0,
+            attack: 0,
+            decay: 0,
+            sustain: 1,
+            release: 0,
+            distort: 0,
+            crush: 16,
+            phaser: 0,
+            fm: 0,
+            fmh: 1,
+            vowel: '',
+            pan: 0.5,
             bpm: 120,
-            bpmEnabled: true
+            bpmEnabled: true,
+            live: false,
+            mods: {},
+            automation: { length: 4, resolution: 4, lanes: {} }
         };
+        this.synthParams = this.normalizeSynthParams({});
+        // Superdough adds an effect for any param that is set, so params with an `off` value stay out of the code until moved
+        this.synthControls = [
+            { id: 'lpf-freq', param: 'lpf', unit: ' Hz' },
+            { id: 'lpq', param: 'lpq' },
+            { id: 'hpf-freq', param: 'hpf', unit: ' Hz', off: 0 },
+            { id: 'attack', param: 'attack', unit: ' s', off: 0 },
+            { id: 'decay', param: 'decay', unit: ' s', off: 0 },
+            { id: 'sustain', param: 'sustain', off: 1 },
+            { id: 'release', param: 'release', unit: ' s', off: 0 },
+            { id: 'distort', param: 'distort', off: 0 },
+            { id: 'crush', param: 'crush', off: 16 },
+            { id: 'phaser', param: 'phaser', unit: ' Hz', off: 0 },
+            { id: 'fm', param: 'fm', off: 0 },
+            { id: 'fmh', param: 'fmh', off: 1 },
+            { id: 'vowel', param: 'vowel', off: '' },
+            { id: 'pan', param: 'pan', off: 0.5 },
+            { id: 'room', param: 'room' },
+            { id: 'delay', param: 'delay' }
+        ];
+        this.liveSynthParams = [];
+        this.lfoSources = ['sine', 'tri', 'saw', 'square', 'perlin', 'rand'];
+        this.automationParams = ['bpm', 'lpf', 'lpq', 'room', 'delay'];
+        this.automationState = { recording: false, last: {}, draw: null };
         // MIDI runtime state
         this.midiAccess = null;
         this.midiOutputs = [];
@@ -34,14 +83,44 @@ class CyberStrudel {
         this.mixedPatterns = {
             presets: {},
             tracks: {},
-            saved: {} // Initialize saved patterns
+            saved: {}, // Initialize saved patterns
+            layers: {} // Mixer strip per combined layer
         };
+        this.mixLayers = []; // Layers of the last combined mix, in label order
         this.savedPatterns = new Map();
         this.strudelReady = false;
         this.history = [];
         this.historyIndex = -1;
         this.maxHistory = 50;
+        this.velocityLevels = [1, 0.75, 0.5, 0.25];
+        this.stepConditions = ['1st', ...[2, 3, 4, 8].flatMap(b => Array.from({ length: b }, (_, i) => `${i + 1}:${b}`))];
+        this.inspectedStep = null;
+        this.euclidPreview = null;
+        this.songSlots = ['A', 'B', 'C', 'D'];
+        this.songState = { current: 'A', slots: {}, arrangement: 'A x4' };
+        this.draggedTrack = null;
+        this.paintState = null;
+        this.stepSelection = null;
+        this.stepClipboard = null;
+        this.recordState = { active: false, mode: 'overdub', replaced: new Set() };
+        this.scenes = [];
+        this.sceneState = { quantize: 'cycle', pending: null, active: null };
+        this.evalState = { quantize: 'cycle', pending: null, frame: null };
+        this.deckState = { a: '', b: '', position: 0, mode: 'gain', cycles: 8, transition: null };
+        // Deck code reads these through ref(), so the crossfader moves without re-evaluating
+        window.cyberDeck = Object.fromEntries(['a', 'b'].map(deck => [deck, {
+            level: () => this.getDeckLevel(deck),
+            cutoff: () => this.getDeckCutoff(deck)
+        }]));
+        // Live synth values by cycle, read through signal() by the all(...) line runEvaluation puts in front of the code
+        window.cyberSynth = Object.fromEntries([...this.synthControls.map(({ param }) => param), 'cps'].map(param => [param, (time = 0) => this.getSynthValue(param, Number(time))]));
         this.strudelAPI = null;
+        this.strudelRepl = null;
+        this.playheadFrame = null;
+        this.playheadSteps = {};
+        this.patternCombiner = new PatternCombiner();
+        this.codeEditor = null;
+        this.codeParser = new MiniNotationParser({ euclid: (pulses, steps, rotation) => this.euclidPattern(pulses, steps, rotation), maxSteps: this.maxSteps });
         this.init();
     }
 
@@ -49,6 +128,81 @@ class CyberStrudel {
         return Object.keys(this.sequencerState);
     }
 
+    getTrackName(track) {
+        const name = this.trackStates[track]?.name;
+        if (name) return name;
+        const defaults = { bd: 'KICK', sd: 'SNARE', hh: 'HI-HAT', cp: 'CLAP' };
+        return defaults[track] || `TRACK ${track.toUpperCase()}`;
+    }
+
+    tracksMatchDOM() {
+        const rendered = Array.from(document.querySelectorAll('.track-container[id$="-track"]') || [])
+            .map(el => el.id.replace('-track', ''));
+        return rendered.join() === this.getTracks().join();
+    }
+
+    createStep(overrides = {}) {
+        return { velocity: 1, probability: 100, condition: '', note: null, ratchet: 1, nudge: 0, ...overrides };
+    }
+
+    createTrackState(overrides = {}) {
+        return {
+            muted: false,
+            solo: false,
+            steps: 8,
+            sound: 'bd',
+            swing: null,
+            root: 'c',
+            scale: 'major',
+            octave: 3,
+            octaveRange: 1,
+            euclid: null,
+            name: null,
+            color: null,
+            ...overrides,
+            params: { ...this.getTrackParamDefaults(), ...overrides.params }
+        };
+    }
+
+    get trackParams() {
+        // Defaults are left out of the generated code, except gain which always was emitted
+        return {
+            n: { label: 'Sample', min: 0, max: 15, step: 1, default: 0, sampleOnly: true, format: v => `#${v}` },
+            speed: { label: 'Pitch', min: -2, max: 4, step: 0.05, default: 1, sampleOnly: true, format: v => `${v}×` },
+            pan: { label: 'Pan', min: 0, max: 1, step: 0.05, default: 0.5, format: v => v === 0.5 ? 'C' : v < 0.5 ? `L${Math.round((0.5 - v) * 200)}` : `R${Math.round((v - 0.5) * 200)}` },
+            gain: { label: 'Gain', min: 0, max: 1.5, step: 0.05, default: 0.8, format: v => v },
+            attack: { label: 'Attack', min: 0, max: 1, step: 0.01, default: 0, format: v => `${v}s` },
+            decay: { label: 'Decay', min: 0, max: 2, step: 0.01, default: 0, format: v => v === 0 ? 'Off' : `${v}s` },
+            lpf: { label: 'Filter', min: 100, max: 20000, step: 50, default: 20000, format: v => v === 20000 ? 'Open' : `${v} Hz` }
+        };
+    }
+
+    getTrackParamDefaults() {
+        return Object.fromEntries(Object.entries(this.trackParams).map(([param, { default: value }]) => [param, value]));
+    }
+
+    normalizeSynthParams(params) {
+        return { ...JSON.parse(JSON.stringify(this.synthDefaults)), ...JSON.parse(JSON.stringify(params || {})) };
+    }
+
+    normalizeTrackStates(states) {
+        Object.keys(states).forEach(track => {
+            states[track] = this.createTrackState(states[track]);
+        });
+        return states;
+    }
+
+    normalizeSequencerState(state) {
+        // Older saves stored plain booleans per step
+        Object.keys(state).forEach(track => {
+            state[track] = state[track].map(step => {
+                if (!step) return false;
+                return step === true ? this.createStep() : this.createStep(step);
+            });
+        });
+        return state;
+    }
+
     async init() {
         try {
             await this.initStrudel();
@@ -68,13 +222,18 @@ class CyberStrudel {
         try {
             const { initStrudel, samples, setCps } = window.strudel;
             this.strudelAPI = window.strudel;
-            await initStrudel({
+            this.strudelRepl = await initStrudel({
                 prebake: async () => {
                     try {
                         await samples('github:tidalcycles/dirt-samples');
                     } catch (error) {
                         console.warn('Could not load default samples:', error);
                     }
+                    try {
+                        await samples('https://raw.githubusercontent.com/felixroos/dough-samples/main/tidal-drum-machines.json');
+                    } catch (error) {
+                        console.warn('Could not load drum machine banks:', error);
+                    }
                 }
             });
             if (setCps) {
@@ -85,14 +244,29 @@ class CyberStrudel {
         }
     }
 
-    saveToHistory() {
-        const state = JSON.parse(JSON.stringify({
+    getCode() {
+        return this.codeEditor ? this.codeEditor.getValue() : '';
+    }
+
+    setCode(code) {
+        if (this.codeEditor) this.codeEditor.setValue(code);
+    }
+
+    snapshotState() {
+        return JSON.parse(JSON.stringify({
             sequencerState: this.sequencerState,
             trackStates: this.trackStates,
-            code: document.getElementById('code-editor')?.value || '',
+            code: this.getCode(),
             mixedPatterns: this.mixedPatterns,
-            synthParams: this.synthParams
+            synthParams: this.synthParams,
+            sequencerSettings: this.sequencerSettings,
+            customKits: this.customKits,
+            songState: this.songState
         }));
+    }
+
+    saveToHistory() {
+        const state = this.snapshotState();
         if (this.historyIndex < this.history.length - 1) {
             this.history.splice(this.historyIndex + 1);
         }
@@ -132,27 +306,22 @@ class CyberStrudel {
     }
 
     restoreState(state) {
+        this.closeStepInspector();
         this.sequencerState = JSON.parse(JSON.stringify(state.sequencerState));
         this.trackStates = JSON.parse(JSON.stringify(state.trackStates));
         this.mixedPatterns = JSON.parse(JSON.stringify(state.mixedPatterns || { presets: {}, tracks: {}, saved: {} }));
-        this.synthParams = JSON.parse(JSON.stringify(state.synthParams));
-        const codeEditor = document.getElementById('code-editor');
-        if (codeEditor) codeEditor.value = state.code || '';
-        const originalTracks = ['bd', 'sd', 'hh', 'cp'];
-        const currentTracks = this.getTracks();
-        const missingTracks = currentTracks.filter(t => !document.getElementById(`${t}-track`));
-        const extraEls = Array.from(document.querySelectorAll('.track-container[id$="-track"]') || [])
-            .map(el => el.id.replace('-track', ''))
-            .filter(id => !currentTracks.includes(id));
-        if (missingTracks.length > 0 || extraEls.length > 0) {
+        this.synthParams = this.normalizeSynthParams(state.synthParams);
+        this.sequencerSettings = JSON.parse(JSON.stringify(state.sequencerSettings || this.sequencerSettings));
+        this.customKits = JSON.parse(JSON.stringify(state.customKits || this.customKits));
+        this.songState = JSON.parse(JSON.stringify(state.songState || this.songState));
+        this.setCode(state.code || '');
+        this.renderMixStrips();
+        if (!this.tracksMatchDOM()) {
             this.recreateSequencer();
         } else {
             this.getTracks().forEach(track => {
-                const stepsEl = document.getElementById(`${track}-steps`);
-                if (stepsEl) stepsEl.value = this.trackStates[track].steps;
-                const soundEl = document.getElementById(`${track}-sound`);
-                if (soundEl) soundEl.value = this.trackStates[track].sound;
-                this.updateSequencerUI(track);
+                this.syncTrackControls(track);
+                this.updateSequencerTrack(track);
                 const muteBtn = document.getElementById(`mute-${track}`);
                 if (muteBtn) {
                     muteBtn.classList.toggle('active', this.trackStates[track].muted);
@@ -186,115 +355,451 @@ class CyberStrudel {
                 mixBtn.setAttribute('aria-pressed', !!this.mixedPatterns.saved[name]);
             }
         });
-        const lpfFreq = document.getElementById('lpf-freq');
-        if (lpfFreq) {
-            lpfFreq.value = this.synthParams.lpf;
-            document.getElementById('lpf-freq-value').textContent = `${this.synthParams.lpf} Hz`;
-            lpfFreq.setAttribute('aria-valuenow', this.synthParams.lpf);
-        }
-        const lpq = document.getElementById('lpq');
-        if (lpq) {
-            lpq.value = this.synthParams.lpq;
-            document.getElementById('lpq-value').textContent = this.synthParams.lpq;
-            lpq.setAttribute('aria-valuenow', this.synthParams.lpq);
-        }
-        const room = document.getElementById('room');
-        if (room) {
-            room.value = this.synthParams.room;
-            document.getElementById('room-value').textContent = this.synthParams.room;
-            room.setAttribute('aria-valuenow', this.synthParams.room);
-        }
-        const delay = document.getElementById('delay');
-        if (delay) {
-            delay.value = this.synthParams.delay;
-            document.getElementById('delay-value').textContent = this.synthParams.delay;
-            delay.setAttribute('aria-valuenow', this.synthParams.delay);
-        }
-        const bpm = document.getElementById('bpm');
-        if (bpm) {
-            bpm.value = this.synthParams.bpm;
-            document.getElementById('bpm-value').textContent = this.synthParams.bpm;
-            bpm.setAttribute('aria-valuenow', this.synthParams.bpm);
-        }
-        const bpmEnable = document.getElementById('bpm-enable');
-        if (bpmEnable) bpmEnable.checked = this.synthParams.bpmEnabled;
+        this.updateSynthUI();
+        this.updateSequencerSettingsUI();
+        this.updateSongUI();
         this.updatePatternBankUI();
         this.updateUndoRedoButtons();
         this.saveToLocalStorage();
     }
 
     setupSequencer() {
-        this.getTracks().forEach(track => {
-            this.updateSequencerTrack(track);
-        });
-        this.adjustSequencerGrid();
+        this.recreateSequencer();
         window.addEventListener('resize', () => this.adjustSequencerGrid());
+        window.addEventListener('pointerup', () => {
+            this.endPaint();
+            this.endLaneDraw();
+        });
+        window.addEventListener('pointercancel', () => {
+            this.endPaint();
+            this.endLaneDraw();
+        });
+        window.addEventListener('pointermove', (e) => this.drawLane(e));
     }
 
     adjustSequencerGrid() {
-        const isSmallScreen = window.innerWidth <= 480;
         this.getTracks().forEach(track => {
             const container = document.getElementById(`${track}-pattern`);
             if (container) {
-                const stepCount = this.trackStates[track].steps;
-                container.style.gridTemplateColumns = `repeat(${isSmallScreen && stepCount > 8 ? 4 : stepCount}, 1fr)`;
+                container.style.gridTemplateColumns = `repeat(${this.getGridColumns(track)}, 1fr)`;
             }
         });
     }
 
+    getGridColumns(track) {
+        const stepCount = this.trackStates[track].steps;
+        if (window.innerWidth <= 480) {
+            return stepCount > 8 ? 4 : stepCount;
+        }
+        return Math.min(stepCount, this.gridZoom);
+    }
+
     updateSequencerTrack(track) {
         const container = document.getElementById(`${track}-pattern`);
         if (!container) return;
         const stepCount = this.trackStates[track].steps;
         container.innerHTML = '';
-        const isSmallScreen = window.innerWidth <= 480;
-        container.style.gridTemplateColumns = `repeat(${isSmallScreen && stepCount > 8 ? 4 : stepCount}, 1fr)`;
+        container.style.gridTemplateColumns = `repeat(${this.getGridColumns(track)}, 1fr)`;
         for (let i = 0; i < stepCount; i++) {
             const step = document.createElement('div');
-            step.className = 'step';
+            step.className = i % 4 === 0 ? 'step beat-start' : 'step';
             step.textContent = i + 1;
             step.dataset.track = track;
             step.dataset.step = i;
             step.setAttribute('role', 'button');
             step.setAttribute('aria-label', `Step ${i + 1} for ${track}`);
             step.tabIndex = 0;
-            step.addEventListener('click', () => this.toggleStep(track, i));
+            step.addEventListener('click', (e) => {
+                if (e.shiftKey) {
+                    this.openStepInspector(track, i);
+                } else if (e.detail === 0) {
+                    // Clicks without a pointer (assistive tech) never went through pointerdown
+                    this.toggleStep(track, i);
+                }
+            });
+            step.addEventListener('pointerdown', (e) => {
+                if (e.button !== 0 || e.shiftKey) return;
+                if (e.altKey) {
+                    this.selectStepRange(track, i);
+                    return;
+                }
+                // Touch pointers are captured by the first cell; release so the drag reaches its neighbours
+                if (step.hasPointerCapture?.(e.pointerId)) step.releasePointerCapture(e.pointerId);
+                this.startPaint(track, i);
+            });
+            step.addEventListener('pointerenter', () => this.paintStep(track, i));
+            step.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.cycleStepVelocity(track, i);
+            });
             step.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
+                if (e.key === 'Enter' && e.shiftKey) {
+                    this.openStepInspector(track, i);
+                    e.preventDefault();
+                } else if (e.key === 'Enter' || e.key === ' ') {
                     this.toggleStep(track, i);
                     e.preventDefault();
+                } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                    this.adjustStepVelocity(track, i, e.key === 'ArrowUp' ? 0.05 : -0.05);
+                    e.preventDefault();
                 }
             });
             container.appendChild(step);
         }
+        if (this.inspectedStep && this.inspectedStep.track === track) {
+            this.closeStepInspector();
+        }
+        if (this.stepSelection?.track === track) {
+            this.stepSelection = null;
+        }
+        this.renderNoteLane(track);
+        this.updateSequencerUI(track);
+    }
+
+    get noteScales() {
+        return {
+            major: [0, 2, 4, 5, 7, 9, 11],
+            minor: [0, 2, 3, 5, 7, 8, 10],
+            dorian: [0, 2, 3, 5, 7, 9, 10],
+            phrygian: [0, 1, 3, 5, 7, 8, 10],
+            mixolydian: [0, 2, 4, 5, 7, 9, 10],
+            'major pentatonic': [0, 2, 4, 7, 9],
+            'minor pentatonic': [0, 3, 5, 7, 10],
+            blues: [0, 3, 5, 6, 7, 10],
+            chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+        };
+    }
+
+    get noteNames() {
+        return ['c', 'c#', 'd', 'eb', 'e', 'f', 'f#', 'g', 'ab', 'a', 'bb', 'b'];
+    }
+
+    get soundOptions() {
+        return {
+            bd: 'Bass Drum',
+            jazz: 'Kick Drum',
+            bass: 'Bass',
+            sd: 'Snare Drum',
+            hh: 'Hi-Hat',
+            rm: 'rim',
+            cp: 'Clap',
+            lt: 'Low Tom',
+            mt: 'Mid Tom',
+            ht: 'High Tom',
+            jvbass: 'JV Bass',
+            sawtooth: 'Sawtooth',
+            sine: 'Sine',
+            triangle: 'Triangle'
+        };
+    }
+
+    get drumKits() {
+        // Built-in kits translate dirt-samples names; custom kits may also map track keys
+        const machine = { bd: 'bd', jazz: 'bd', sd: 'sd', hh: 'hh', rm: 'rim', cp: 'cp', lt: 'lt', mt: 'mt', ht: 'ht' };
+        return {
+            dirt: { name: 'Dirt Samples', bank: '', map: {}, sounds: {} },
+            tr909: { name: 'Roland TR-909', bank: 'RolandTR909', map: {}, sounds: machine },
+            tr808: { name: 'Roland TR-808', bank: 'RolandTR808', map: {}, sounds: machine },
+            tr707: { name: 'Roland TR-707', bank: 'RolandTR707', map: {}, sounds: machine },
+            ...this.customKits
+        };
+    }
+
+    getTrackSample(track) {
+        const sound = this.trackStates[track].sound;
+        if (this.isMelodicTrack(track)) return { sound, bank: '' };
+        const kit = this.drumKits[this.sequencerSettings.kit] || this.drumKits.dirt;
+        const mapped = kit.map[track] ?? kit.sounds?.[sound] ?? kit.map[sound];
+        if (mapped) return { sound: mapped, bank: kit.bank };
+        // Built-in kits only cover the sounds they translate; a custom kit's bank applies to every drum track
+        return { sound, bank: kit.sounds ? '' : kit.bank };
+    }
+
+    isMelodicTrack(track) {
+        return ['sawtooth', 'sine', 'triangle'].includes(this.trackStates[track].sound);
+    }
+
+    getLaneNotes(track) {
+        const { root, scale, octave, octaveRange } = this.trackStates[track];
+        const rootIndex = Math.max(0, this.noteNames.indexOf(root));
+        const intervals = this.noteScales[scale] || this.noteScales.major;
+        const notes = [];
+        for (let o = 0; o < octaveRange; o++) {
+            intervals.forEach(interval => {
+                const pitch = rootIndex + interval;
+                notes.push(`${this.noteNames[pitch % 12]}${octave + o + Math.floor(pitch / 12)}`);
+            });
+        }
+        return notes;
+    }
+
+    getStepNote(track, step) {
+        const { root, octave } = this.trackStates[track];
+        return step.note || `${root}${octave}`;
+    }
+
+    renderNoteLane(track) {
+        const lane = document.getElementById(`${track}-lane`);
+        const roll = document.getElementById(`${track}-roll`);
+        if (!lane || !roll) return;
+        const isMelodic = this.isMelodicTrack(track);
+        lane.style.display = isMelodic ? '' : 'none';
+        document.getElementById(`${track}-track`)?.classList.toggle('melodic', isMelodic);
+        roll.innerHTML = '';
+        if (!isMelodic) return;
+        const stepCount = this.trackStates[track].steps;
+        roll.style.gridTemplateColumns = `clamp(30px, 5vw, 40px) repeat(${stepCount}, minmax(18px, 1fr))`;
+        this.getLaneNotes(track).reverse().forEach(note => {
+            const label = document.createElement('div');
+            label.className = 'roll-label';
+            label.textContent = note.toUpperCase();
+            roll.appendChild(label);
+            for (let i = 0; i < stepCount; i++) {
+                const cell = document.createElement('div');
+                cell.className = 'roll-cell';
+                cell.dataset.note = note;
+                cell.dataset.step = i;
+                cell.setAttribute('role', 'button');
+                cell.setAttribute('aria-label', `${note.toUpperCase()} on step ${i + 1} for ${track}`);
+                cell.addEventListener('click', () => this.setStepNote(track, i, note));
+                roll.appendChild(cell);
+            }
+        });
+    }
+
+    setStepNote(track, index, note) {
+        this.saveToHistory();
+        const step = this.sequencerState[track][index];
+        if (step && this.getStepNote(track, step) === note) {
+            this.sequencerState[track][index] = false;
+            if (this.inspectedStep?.track === track && this.inspectedStep.index === index) {
+                this.closeStepInspector();
+            }
+        } else if (step) {
+            step.note = note;
+        } else {
+            this.sequencerState[track][index] = this.createStep({ note });
+        }
+        this.updateSequencerUI(track);
+        if (this.mixedPatterns.tracks[track]) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+    }
+
+    changeNoteLane(track, changes) {
+        Object.assign(this.trackStates[track], changes);
+        this.renderNoteLane(track);
         this.updateSequencerUI(track);
+        if (this.mixedPatterns.tracks[track]) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+        const { root, scale, octave, octaveRange } = this.trackStates[track];
+        this.showNotification(`${track.toUpperCase()} lane: ${root.toUpperCase()} ${scale}, octave ${octave}-${octave + octaveRange - 1}`, 'success');
     }
 
     toggleStep(track, index) {
         this.saveToHistory();
-        this.sequencerState[track][index] = !this.sequencerState[track][index];
+        this.sequencerState[track][index] = this.sequencerState[track][index] ? false : this.createStep();
+        if (!this.sequencerState[track][index] && this.inspectedStep?.track === track && this.inspectedStep.index === index) {
+            this.closeStepInspector();
+        }
+        this.updateSequencerUI(track);
+        if (this.mixedPatterns.tracks[track]) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+    }
+
+    updateStep(track, index, changes) {
+        const step = this.sequencerState[track][index];
+        if (!step) return;
+        this.saveToHistory();
+        Object.assign(step, changes);
         this.updateSequencerUI(track);
+        if (this.inspectedStep?.track === track && this.inspectedStep.index === index) {
+            this.openStepInspector(track, index);
+        }
         if (this.mixedPatterns.tracks[track]) {
             this.updateMixedCode();
         }
         this.saveToLocalStorage();
     }
 
+    cycleStepVelocity(track, index) {
+        const step = this.sequencerState[track][index];
+        if (!step) return;
+        const current = this.velocityLevels.indexOf(step.velocity);
+        const velocity = this.velocityLevels[(current + 1) % this.velocityLevels.length];
+        this.updateStep(track, index, { velocity });
+        this.showNotification(`${track.toUpperCase()} step ${index + 1} velocity ${Math.round(velocity * 100)}%`, 'success');
+    }
+
+    adjustStepVelocity(track, index, delta) {
+        const step = this.sequencerState[track][index];
+        if (!step) return;
+        const velocity = Math.min(1, Math.max(0.05, Math.round((step.velocity + delta) * 100) / 100));
+        if (velocity !== step.velocity) {
+            this.updateStep(track, index, { velocity });
+        }
+    }
+
+    openStepInspector(track, index) {
+        if (!this.sequencerState[track][index]) {
+            this.toggleStep(track, index);
+        }
+        const step = this.sequencerState[track][index];
+        const grid = document.getElementById(`${track}-pattern`);
+        if (!step || !grid) return;
+        if (this.inspectedStep && this.inspectedStep.track !== track) {
+            this.closeStepInspector();
+        }
+        let inspector = document.getElementById(`${track}-inspector`);
+        if (!inspector) {
+            inspector = document.createElement('div');
+            inspector.className = 'step-inspector';
+            inspector.id = `${track}-inspector`;
+            grid.insertAdjacentElement('afterend', inspector);
+        }
+        this.inspectedStep = { track, index };
+        this.updateSequencerUI(track);
+        const conditionOptions = [
+            '<option value="">Always</option>',
+            '<option value="1st">1ST (first cycle only)</option>',
+            ...this.stepConditions.filter(c => c !== '1st').map(c => `<option value="${c}">${c}</option><option value="!${c}">NOT ${c}</option>`)
+        ].join('');
+        inspector.innerHTML = `
+            <div class="track-header">
+                <span class="track-name">${track.toUpperCase()} · Step ${index + 1}</span>
+                <button class="cyber-btn" data-action="close" aria-label="Close step inspector"><i class="las la-times"></i></button>
+            </div>
+            <div class="synth-controls">
+                <div class="slider-container">
+                    <label for="${track}-insp-velocity">Velocity</label>
+                    <input type="range" id="${track}-insp-velocity" min="0.05" max="1" step="0.05" value="${step.velocity}" aria-label="Step velocity">
+                    <div class="slider-value">${Math.round(step.velocity * 100)}%</div>
+                </div>
+                <div class="slider-container">
+                    <label for="${track}-insp-probability">Probability</label>
+                    <input type="range" id="${track}-insp-probability" min="0" max="100" step="5" value="${step.probability}" aria-label="Step trigger probability">
+                    <div class="slider-value">${step.probability}%</div>
+                </div>
+                <div class="slider-container">
+                    <label for="${track}-insp-condition">Condition</label>
+                    <select class="step-selector" id="${track}-insp-condition" aria-label="Step trigger condition">${conditionOptions}</select>
+                </div>
+                <div class="slider-container">
+                    <label for="${track}-insp-ratchet">Ratchet</label>
+                    <select class="step-selector" id="${track}-insp-ratchet" aria-label="Step ratchet count">
+                        ${[1, 2, 3, 4].map(count => `<option value="${count}">${count === 1 ? 'Off' : `${count} hits`}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="slider-container">
+                    <label for="${track}-insp-nudge">Nudge</label>
+                    <input type="range" id="${track}-insp-nudge" min="-25" max="25" step="1" value="${step.nudge}" aria-label="Step micro-timing nudge in percent of a step">
+                    <div class="slider-value">${this.formatNudge(step.nudge)}</div>
+                </div>
+                ${this.isMelodicTrack(track) ? `
+                <div class="slider-container">
+                    <label for="${track}-insp-note">Note</label>
+                    <select class="step-selector" id="${track}-insp-note" aria-label="Step note">
+                        ${this.getLaneNotes(track).map(note => `<option value="${note}">${note.toUpperCase()}</option>`).join('')}
+                    </select>
+                </div>` : ''}
+            </div>
+        `;
+        inspector.querySelector(`#${track}-insp-condition`).value = step.condition;
+        inspector.querySelector('[data-action="close"]').addEventListener('click', () => this.closeStepInspector());
+        const bindSlider = (id, param, format) => {
+            const slider = inspector.querySelector(`#${id}`);
+            slider.addEventListener('input', (e) => {
+                slider.nextElementSibling.textContent = format(parseFloat(e.target.value));
+            });
+            slider.addEventListener('change', (e) => this.updateStep(track, index, { [param]: parseFloat(e.target.value) }));
+        };
+        bindSlider(`${track}-insp-velocity`, 'velocity', v => `${Math.round(v * 100)}%`);
+        bindSlider(`${track}-insp-probability`, 'probability', v => `${v}%`);
+        bindSlider(`${track}-insp-nudge`, 'nudge', v => this.formatNudge(v));
+        const ratchetSelect = inspector.querySelector(`#${track}-insp-ratchet`);
+        ratchetSelect.value = step.ratchet;
+        ratchetSelect.addEventListener('change', (e) => this.updateStep(track, index, { ratchet: parseInt(e.target.value) }));
+        inspector.querySelector(`#${track}-insp-condition`).addEventListener('change', (e) => {
+            this.updateStep(track, index, { condition: e.target.value });
+        });
+        const noteSelect = inspector.querySelector(`#${track}-insp-note`);
+        if (noteSelect) {
+            noteSelect.value = this.getStepNote(track, step);
+            noteSelect.addEventListener('change', (e) => this.updateStep(track, index, { note: e.target.value }));
+        }
+    }
+
+    formatNudge(nudge) {
+        return nudge === 0 ? 'On grid' : `${nudge > 0 ? '+' : ''}${nudge}% ${nudge > 0 ? 'late' : 'early'}`;
+    }
+
+    closeStepInspector() {
+        if (!this.inspectedStep) return;
+        const inspector = document.getElementById(`${this.inspectedStep.track}-inspector`);
+        if (inspector) inspector.remove();
+        const { track } = this.inspectedStep;
+        this.inspectedStep = null;
+        this.updateSequencerUI(track);
+    }
+
+    buildStepToken(step, hit) {
+        const hits = step.ratchet > 1 ? `[${Array(step.ratchet).fill(hit).join(' ')}]` : hit;
+        const token = step.probability < 100 ? `${hits}?${Number((1 - step.probability / 100).toFixed(2))}` : hits;
+        if (step.condition === '1st') {
+            // Mini-notation has no one-shot, so this is a 1000-cycle loop: the step plays again on cycle 1000 and every 1000 after
+            return `<${token} ~!999>`;
+        }
+        const ratio = (step.condition || '').match(/^(!?)(\d+):(\d+)$/);
+        if (ratio) {
+            const negate = ratio[1] === '!';
+            const position = parseInt(ratio[2]) - 1;
+            const cycles = Array.from({ length: parseInt(ratio[3]) }, (_, i) => (i === position) !== negate ? token : '~');
+            return `<${cycles.join(' ')}>`;
+        }
+        return token;
+    }
+
     updateSequencerUI(track) {
         const container = document.getElementById(`${track}-pattern`);
         if (!container) return;
         const isSoloActive = Object.values(this.trackStates).some(state => state.solo);
         const isEnabled = !isSoloActive || this.trackStates[track].solo;
         const stepCount = this.trackStates[track].steps;
+        const isMelodic = this.isMelodicTrack(track);
         for (let i = 0; i < stepCount; i++) {
             const step = container.children[i];
             if (step) {
-                const active = this.sequencerState[track][i];
+                const cell = this.sequencerState[track][i];
+                const active = !!cell;
+                step.textContent = isMelodic && active ? this.getStepNote(track, cell).toUpperCase() : i + 1;
                 step.classList.toggle('active', active && isEnabled && !this.trackStates[track].muted);
                 step.setAttribute('aria-pressed', active);
                 step.style.opacity = isEnabled && !this.trackStates[track].muted ? '1' : '0.5';
+                step.style.setProperty('--velocity', active ? cell.velocity : 1);
+                step.classList.toggle('conditional', active && (cell.probability < 100 || !!cell.condition));
+                step.classList.toggle('ratcheted', active && cell.ratchet > 1);
+                step.classList.toggle('nudged', active && cell.nudge !== 0);
+                step.classList.toggle('inspected', this.inspectedStep?.track === track && this.inspectedStep.index === i);
+                step.classList.toggle('euclid-preview', this.euclidPreview?.track === track && !!this.euclidPreview.pattern[i]);
+                step.classList.toggle('selected', this.isStepSelected(track, i));
+                step.title = active
+                    ? `Velocity ${Math.round(cell.velocity * 100)}%${cell.probability < 100 ? `, ${cell.probability}% chance` : ''}${cell.condition ? `, condition ${cell.condition.toUpperCase()}` : ''}${cell.ratchet > 1 ? `, ${cell.ratchet}× ratchet` : ''}${cell.nudge ? `, nudged ${this.formatNudge(cell.nudge)}` : ''}`
+                    : '';
             }
         }
+        const roll = document.getElementById(`${track}-roll`);
+        if (roll && isMelodic) {
+            roll.querySelectorAll('.roll-cell').forEach(rollCell => {
+                const cell = this.sequencerState[track][parseInt(rollCell.dataset.step)];
+                rollCell.classList.toggle('active', !!cell && this.getStepNote(track, cell) === rollCell.dataset.note);
+                rollCell.style.setProperty('--velocity', cell ? cell.velocity : 1);
+            });
+        }
     }
 
     createTrackHTML(track) {
@@ -303,52 +808,117 @@ class CyberStrudel {
         const container = document.createElement('div');
         container.className = 'track-container';
         container.id = `${track}-track`;
-        let trackName = track.toUpperCase();
-        if (track === 'bd') trackName = 'KICK';
-        else if (track === 'sd') trackName = 'SNARE';
-        else if (track === 'hh') trackName = 'HI-HAT';
-        else if (track === 'cp') trackName = 'CLAP';
-        else trackName = `TRACK ${track.toUpperCase()}`;
-        const defaultSound = this.trackStates[track]?.sound || 'bd';
+        const trackName = this.escapeHTML(this.getTrackName(track));
         container.innerHTML = `
             <div class="track-header">
-                <span class="track-name">${trackName}</span>
+                <div class="track-title">
+                    <span class="track-handle" id="${track}-handle" draggable="true" tabindex="0" role="button" aria-label="Drag to reorder ${trackName.toLowerCase()} track (Alt+Arrow keys to move)"><i class="las la-grip-vertical"></i></span>
+                    <input type="text" class="track-name" id="${track}-name" maxlength="24" aria-label="Name of ${trackName.toLowerCase()} track">
+                    <input type="color" class="track-color" id="${track}-color" aria-label="Colour of ${trackName.toLowerCase()} track">
+                </div>
                 <div>
+                    <button class="cyber-btn track-pad" id="pad-${track}" aria-label="Record a hit on ${trackName.toLowerCase()} track"><i class="las la-drum"></i> Hit</button>
                     <button class="cyber-btn" id="mute-${track}" aria-label="Mute ${trackName.toLowerCase()} track"><i class="las la-volume-mute"></i> Mute</button>
                     <button class="cyber-btn" id="solo-${track}" aria-label="Solo ${trackName.toLowerCase()} track"><i class="las la-headphones"></i> Solo</button>
                     <button class="cyber-btn" id="mix-${track}" aria-label="Mix ${trackName.toLowerCase()} track"><i class="las la-random"></i> Mix</button>
+                    <button class="cyber-btn" id="duplicate-${track}" aria-label="Duplicate ${trackName.toLowerCase()} track"><i class="las la-clone"></i></button>
+                    <button class="cyber-btn" id="delete-${track}" aria-label="Delete ${trackName.toLowerCase()} track"><i class="las la-trash"></i></button>
                 </div>
             </div>
             <div class="pattern-grid" id="${track}-pattern"></div>
+            <div class="note-lane" id="${track}-lane" style="display:none;">
+                <div class="track-controls">
+                    <select class="step-selector" id="${track}-root" aria-label="Select root note for ${trackName.toLowerCase()}">
+                        ${this.noteNames.map(note => `<option value="${note}">${note.toUpperCase()}</option>`).join('')}
+                    </select>
+                    <select class="step-selector" id="${track}-scale" aria-label="Select scale for ${trackName.toLowerCase()}">
+                        ${Object.keys(this.noteScales).map(scale => `<option value="${scale}">${scale}</option>`).join('')}
+                    </select>
+                    <select class="step-selector" id="${track}-octave" aria-label="Select lowest octave for ${trackName.toLowerCase()}">
+                        ${[1, 2, 3, 4, 5, 6].map(octave => `<option value="${octave}">Octave ${octave}</option>`).join('')}
+                    </select>
+                    <select class="step-selector" id="${track}-octave-range" aria-label="Select octave range for ${trackName.toLowerCase()}">
+                        <option value="1">1 Octave</option>
+                        <option value="2">2 Octaves</option>
+                        <option value="3">3 Octaves</option>
+                    </select>
+                </div>
+                <div class="piano-roll" id="${track}-roll"></div>
+            </div>
             <div class="track-controls">
-                <select class="step-selector" id="${track}-steps" aria-label="Select number of steps for ${trackName.toLowerCase()}">
-                    <option value="4">4 Steps</option>
-                    <option value="8" selected>8 Steps</option>
-                    <option value="16">16 Steps</option>
-                </select>
+                <input type="number" class="step-selector steps-input" id="${track}-steps" min="1" max="${this.maxSteps}" step="1" list="step-count-presets" aria-label="Number of steps for ${trackName.toLowerCase()}">
                 <select class="sound-selector" id="${track}-sound" aria-label="Select sound for ${trackName.toLowerCase()}">
-                    <option value="bd">Bass Drum</option>
-                    <option value="jazz">Kick Drum</option>
-                    <option value="bass">Bass</option>
-                    <option value="sd">Snare Drum</option>
-                    <option value="hh">Hi-Hat</option>
-                    <option value="rm">rim</option>
-                    <option value="cp">Clap</option>
-                    <option value="lt">Low Tom</option>
-                    <option value="mt">Mid Tom</option>
-                    <option value="ht">High Tom</option>
-                    <option value="jvbass">JV Bass</option>
-                    <option value="sawtooth">Sawtooth</option>
-                    <option value="sine">Sine</option>
-                    <option value="triangle">Triangle</option>
+                    ${Object.entries(this.soundOptions).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    ${this.trackStates[track].sound in this.soundOptions ? '' : `<option value="${this.escapeHTML(this.trackStates[track].sound)}">${this.escapeHTML(this.trackStates[track].sound)}</option>`}
                 </select>
+                <input type="number" class="step-selector swing-input" id="${track}-swing" min="0" max="100" step="1" placeholder="Swing %" aria-label="Swing amount for ${trackName.toLowerCase()} (empty follows global swing)">
                 <button class="cyber-btn" id="random-${track}" aria-label="Randomize ${trackName.toLowerCase()} track"><i class="las la-dice"></i> Randomize</button>
+                <button class="cyber-btn" id="euclid-${track}" aria-label="Open Euclidean fill for ${trackName.toLowerCase()} track"><i class="las la-circle-notch"></i> Euclid</button>
                 <button class="cyber-btn" id="generate-${track}" aria-label="Generate code for ${trackName.toLowerCase()} track"><i class="las la-code"></i> Generate</button>
             </div>
+            <div class="euclid-panel" id="${track}-euclid" style="display:none;">
+                <div class="track-controls">
+                    <label>Pulses <input type="number" class="step-selector steps-input" id="${track}-euclid-pulses" min="0" max="${this.maxSteps}" step="1" aria-label="Euclidean pulses for ${trackName.toLowerCase()}"></label>
+                    <label>Steps <input type="number" class="step-selector steps-input" id="${track}-euclid-steps" min="1" max="${this.maxSteps}" step="1" aria-label="Euclidean steps for ${trackName.toLowerCase()}"></label>
+                    <label>Rotation <input type="number" class="step-selector steps-input" id="${track}-euclid-rotation" min="0" max="${this.maxSteps - 1}" step="1" aria-label="Euclidean rotation for ${trackName.toLowerCase()}"></label>
+                    <label><input type="checkbox" id="${track}-euclid-compact" checked aria-label="Keep compact Euclid code for ${trackName.toLowerCase()}"> Compact code</label>
+                    <button class="cyber-btn" id="${track}-euclid-apply" aria-label="Apply Euclidean rhythm to ${trackName.toLowerCase()} track"><i class="las la-check"></i> Apply</button>
+                </div>
+            </div>
+            <details class="param-strip">
+                <summary>Sound Parameters</summary>
+                <div class="synth-controls">
+                    ${Object.entries(this.trackParams).map(([param, { label, min, max, step, sampleOnly }]) => `
+                    <div class="slider-container${sampleOnly ? ' sample-param' : ''}">
+                        <label for="${track}-param-${param}">${label}</label>
+                        <input type="range" id="${track}-param-${param}" min="${min}" max="${max}" step="${step}" aria-label="${label} for ${trackName.toLowerCase()} track">
+                        <div class="slider-value" id="${track}-param-${param}-value"></div>
+                    </div>`).join('')}
+                </div>
+            </details>
+            <div class="edit-tools" role="group" aria-label="Edit tools for ${trackName.toLowerCase()} track">
+                ${Object.entries(this.editOperations).map(([operation, { icon, label }]) => `<button class="cyber-btn edit-btn" id="${operation}-${track}" title="${label}" aria-label="${label} (${trackName.toLowerCase()} track)"><i class="las ${icon}"></i></button>`).join('')}
+            </div>
         `;
         wrapper.appendChild(container);
-        document.getElementById(`${track}-steps`).value = this.trackStates[track].steps;
-        document.getElementById(`${track}-sound`).value = defaultSound;
+        this.syncTrackControls(track);
+    }
+
+    syncTrackControls(track) {
+        const state = this.trackStates[track];
+        const values = {
+            steps: state.steps,
+            sound: state.sound,
+            swing: state.swing ?? '',
+            root: state.root,
+            scale: state.scale,
+            octave: state.octave,
+            'octave-range': state.octaveRange,
+            name: this.getTrackName(track),
+            color: state.color || '#ffff00'
+        };
+        Object.entries(values).forEach(([suffix, value]) => {
+            const el = document.getElementById(`${track}-${suffix}`);
+            if (el) el.value = value;
+        });
+        Object.entries(this.trackParams).forEach(([param, { format }]) => {
+            const input = document.getElementById(`${track}-param-${param}`);
+            if (input) {
+                input.value = state.params[param];
+                input.setAttribute('aria-valuenow', state.params[param]);
+            }
+            const valueEl = document.getElementById(`${track}-param-${param}-value`);
+            if (valueEl) valueEl.textContent = format(state.params[param]);
+        });
+        const container = document.getElementById(`${track}-track`);
+        if (container) {
+            if (state.color) container.style.setProperty('--track-color', state.color);
+            else container.style.removeProperty('--track-color');
+        }
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
     }
 
     recreateSequencer() {
@@ -365,11 +935,71 @@ class CyberStrudel {
             this.setupTrackListeners(track);
         });
         const removeTrackBtn = document.getElementById('remove-track');
-        if (removeTrackBtn) removeTrackBtn.style.display = this.getTracks().length > 4 ? 'inline-flex' : 'none';
+        if (removeTrackBtn) removeTrackBtn.style.display = this.getTracks().length > 1 ? 'inline-flex' : 'none';
         this.adjustSequencerGrid();
     }
 
     setupTrackListeners(track) {
+        const nameInput = document.getElementById(`${track}-name`);
+        if (nameInput) nameInput.addEventListener('change', (e) => this.renameTrack(track, e.target.value));
+        const colorInput = document.getElementById(`${track}-color`);
+        if (colorInput) colorInput.addEventListener('change', (e) => this.setTrackColor(track, e.target.value));
+        Object.entries(this.trackParams).forEach(([param, { format }]) => {
+            const input = document.getElementById(`${track}-param-${param}`);
+            if (!input) return;
+            input.addEventListener('input', (e) => {
+                const valueEl = document.getElementById(`${track}-param-${param}-value`);
+                if (valueEl) valueEl.textContent = format(parseFloat(e.target.value));
+            });
+            input.addEventListener('change', (e) => {
+                this.saveToHistory();
+                this.changeTrackParam(track, param, parseFloat(e.target.value));
+            });
+        });
+        const padBtn = document.getElementById(`pad-${track}`);
+        if (padBtn) padBtn.addEventListener('pointerdown', () => this.recordHit(track));
+        const duplicateBtn = document.getElementById(`duplicate-${track}`);
+        if (duplicateBtn) duplicateBtn.addEventListener('click', () => this.duplicateTrack(track));
+        const deleteBtn = document.getElementById(`delete-${track}`);
+        if (deleteBtn) deleteBtn.addEventListener('click', () => this.removeTrack(track));
+        const handle = document.getElementById(`${track}-handle`);
+        const container = document.getElementById(`${track}-track`);
+        if (handle && container) {
+            handle.addEventListener('dragstart', (e) => {
+                this.draggedTrack = track;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', track);
+                container.classList.add('dragging');
+            });
+            handle.addEventListener('dragend', () => {
+                this.draggedTrack = null;
+                document.querySelectorAll('.track-container').forEach(el => el.classList.remove('dragging', 'drop-before', 'drop-after'));
+            });
+            handle.addEventListener('keydown', (e) => {
+                if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+                e.preventDefault();
+                const tracks = this.getTracks();
+                const target = tracks.indexOf(track) + (e.key === 'ArrowUp' ? -1 : 1);
+                if (target < 0 || target >= tracks.length) return;
+                this.moveTrack(track, tracks[target], e.key === 'ArrowDown');
+                document.getElementById(`${track}-handle`)?.focus();
+            });
+            container.addEventListener('dragover', (e) => {
+                if (!this.draggedTrack || this.draggedTrack === track) return;
+                e.preventDefault();
+                const rect = container.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                container.classList.toggle('drop-before', !after);
+                container.classList.toggle('drop-after', after);
+            });
+            container.addEventListener('dragleave', () => container.classList.remove('drop-before', 'drop-after'));
+            container.addEventListener('drop', (e) => {
+                if (!this.draggedTrack || this.draggedTrack === track) return;
+                e.preventDefault();
+                const after = container.classList.contains('drop-after');
+                this.moveTrack(this.draggedTrack, track, after);
+            });
+        }
         const muteBtn = document.getElementById(`mute-${track}`);
         if (muteBtn) muteBtn.addEventListener('click', () => {
             this.saveToHistory();
@@ -392,24 +1022,98 @@ class CyberStrudel {
         });
         const generateBtn = document.getElementById(`generate-${track}`);
         if (generateBtn) generateBtn.addEventListener('click', () => this.generateTrackCode(track));
+        Object.keys(this.editOperations).forEach(operation => {
+            const editBtn = document.getElementById(`${operation}-${track}`);
+            if (editBtn) editBtn.addEventListener('click', () => this.editTrack(track, operation));
+        });
+        const euclidBtn = document.getElementById(`euclid-${track}`);
+        if (euclidBtn) euclidBtn.addEventListener('click', () => this.toggleEuclidPanel(track));
+        ['pulses', 'steps', 'rotation'].forEach(field => {
+            const input = document.getElementById(`${track}-euclid-${field}`);
+            if (input) input.addEventListener('input', () => this.previewEuclid(track));
+        });
+        const euclidApply = document.getElementById(`${track}-euclid-apply`);
+        if (euclidApply) euclidApply.addEventListener('click', () => {
+            const settings = this.readEuclidInputs(track);
+            if (!settings) {
+                this.showNotification(`Euclid needs 0 ≤ pulses ≤ steps ≤ ${this.maxSteps} and rotation below steps`, 'error');
+                return;
+            }
+            this.saveToHistory();
+            this.applyEuclid(track, settings);
+        });
         const stepsEl = document.getElementById(`${track}-steps`);
         if (stepsEl) stepsEl.addEventListener('change', (e) => {
+            const count = parseInt(e.target.value);
+            if (isNaN(count) || count < 1 || count > this.maxSteps) {
+                e.target.value = this.trackStates[track].steps;
+                this.showNotification(`Step count must be between 1 and ${this.maxSteps}`, 'error');
+                return;
+            }
             this.saveToHistory();
-            this.changeStepCount(track, parseInt(e.target.value));
+            this.changeStepCount(track, count);
         });
         const soundEl = document.getElementById(`${track}-sound`);
         if (soundEl) soundEl.addEventListener('change', (e) => {
             this.saveToHistory();
             this.changeTrackSound(track, e.target.value);
         });
+        const swingEl = document.getElementById(`${track}-swing`);
+        if (swingEl) swingEl.addEventListener('change', (e) => {
+            this.saveToHistory();
+            this.changeTrackSwing(track, e.target.value === '' ? null : parseFloat(e.target.value));
+        });
+        const laneControls = { root: 'root', scale: 'scale', octave: 'octave', 'octave-range': 'octaveRange' };
+        Object.entries(laneControls).forEach(([suffix, param]) => {
+            const el = document.getElementById(`${track}-${suffix}`);
+            if (el) el.addEventListener('change', (e) => {
+                this.saveToHistory();
+                const value = ['root', 'scale'].includes(param) ? e.target.value : parseInt(e.target.value);
+                this.changeNoteLane(track, { [param]: value });
+            });
+        });
+    }
+
+    createTrackKey() {
+        const used = new Set(this.getTracks());
+        Object.values(this.songState.slots).forEach(slot => Object.keys(slot.sequencerState).forEach(key => used.add(key)));
+        let index = this.getTracks().length;
+        while (used.has(`track${index}`)) index++;
+        return `track${index}`;
+    }
+
+    orderTracks(object, order) {
+        return Object.fromEntries(order.filter(key => key in object).map(key => [key, object[key]]));
+    }
+
+    applyTrackOrder(order) {
+        this.sequencerState = this.orderTracks(this.sequencerState, order);
+        this.trackStates = this.orderTracks(this.trackStates, order);
+        Object.values(this.songState.slots).forEach(slot => {
+            slot.sequencerState = this.orderTracks(slot.sequencerState, order);
+            slot.trackStates = this.orderTracks(slot.trackStates, order);
+        });
+    }
+
+    refreshTracks(remix = Object.values(this.mixedPatterns.tracks).some(v => v)) {
+        this.closeStepInspector();
+        this.euclidPreview = null;
+        this.recreateSequencer();
+        if (remix) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
     }
 
     addTrack() {
         this.saveToHistory();
-        const numTracks = this.getTracks().length;
-        const newKey = `track${numTracks}`;
+        const newKey = this.createTrackKey();
         this.sequencerState[newKey] = Array(8).fill(false);
-        this.trackStates[newKey] = { muted: false, solo: false, steps: 8, sound: 'bd' };
+        this.trackStates[newKey] = this.createTrackState();
+        Object.values(this.songState.slots).forEach(slot => {
+            slot.sequencerState[newKey] = Array(8).fill(false);
+            slot.trackStates[newKey] = this.createTrackState();
+        });
         this.createTrackHTML(newKey);
         this.updateSequencerTrack(newKey);
         this.setupTrackListeners(newKey);
@@ -417,27 +1121,74 @@ class CyberStrudel {
         if (removeTrackBtn) removeTrackBtn.style.display = 'inline-flex';
         this.adjustSequencerGrid();
         this.saveToLocalStorage();
-        this.showNotification(`New track ${newKey.toUpperCase()} added`, 'success');
+        this.showNotification(`New track ${this.getTrackName(newKey)} added`, 'success');
+    }
+
+    duplicateTrack(track) {
+        this.saveToHistory();
+        const newKey = this.createTrackKey();
+        const copyTrack = (state) => {
+            state.sequencerState[newKey] = JSON.parse(JSON.stringify(state.sequencerState[track]));
+            state.trackStates[newKey] = { ...JSON.parse(JSON.stringify(state.trackStates[track])), name: `${this.getTrackName(track)} COPY`.slice(0, 24), muted: false, solo: false };
+        };
+        copyTrack(this);
+        Object.values(this.songState.slots).forEach(copyTrack);
+        const order = this.getTracks().filter(key => key !== newKey);
+        order.splice(order.indexOf(track) + 1, 0, newKey);
+        this.applyTrackOrder(order);
+        this.refreshTracks();
+        this.showNotification(`${this.getTrackName(track)} duplicated`, 'success');
     }
 
-    removeTrack() {
+    removeTrack(track = this.getTracks()[this.getTracks().length - 1]) {
         const tracks = this.getTracks();
-        if (tracks.length <= 4) {
-            this.showNotification('Cannot remove original tracks', 'error');
+        if (tracks.length <= 1) {
+            this.showNotification('The sequencer needs at least one track', 'error');
             return;
         }
-        const lastKey = tracks[tracks.length - 1];
-        const trackEl = document.getElementById(`${lastKey}-track`);
-        if (trackEl) trackEl.remove();
-        delete this.sequencerState[lastKey];
-        delete this.trackStates[lastKey];
-        if (this.mixedPatterns.tracks[lastKey]) delete this.mixedPatterns.tracks[lastKey];
         this.saveToHistory();
-        const removeTrackBtn = document.getElementById('remove-track');
-        if (removeTrackBtn) removeTrackBtn.style.display = this.getTracks().length === 4 ? 'none' : 'inline-flex';
-        this.adjustSequencerGrid();
+        const trackName = this.getTrackName(track);
+        const wasMixed = !!this.mixedPatterns.tracks[track];
+        delete this.sequencerState[track];
+        delete this.trackStates[track];
+        delete this.mixedPatterns.tracks[track];
+        Object.values(this.songState.slots).forEach(slot => {
+            delete slot.sequencerState[track];
+            delete slot.trackStates[track];
+        });
+        this.refreshTracks(wasMixed);
+        this.showNotification(`Track ${trackName} removed`, 'success');
+    }
+
+    moveTrack(track, target, after) {
+        const order = this.getTracks().filter(key => key !== track);
+        order.splice(order.indexOf(target) + (after ? 1 : 0), 0, track);
+        if (order.join() === this.getTracks().join()) return;
+        this.saveToHistory();
+        this.applyTrackOrder(order);
+        this.refreshTracks();
+        this.showNotification(`${this.getTrackName(track)} moved`, 'success');
+    }
+
+    renameTrack(track, name) {
+        const trimmed = name.trim().slice(0, 24);
+        this.saveToHistory();
+        // Names and colours identify a track, so every pattern slot shares them
+        [this, ...Object.values(this.songState.slots)].forEach(state => {
+            if (state.trackStates[track]) state.trackStates[track].name = trimmed || null;
+        });
+        this.recreateSequencer();
+        this.saveToLocalStorage();
+        this.showNotification(`Track renamed to ${this.getTrackName(track)}`, 'success');
+    }
+
+    setTrackColor(track, color) {
+        this.saveToHistory();
+        [this, ...Object.values(this.songState.slots)].forEach(state => {
+            if (state.trackStates[track]) state.trackStates[track].color = color;
+        });
+        this.syncTrackControls(track);
         this.saveToLocalStorage();
-        this.showNotification(`Track ${lastKey.toUpperCase()} removed`, 'success');
     }
 
     setupEventListeners() {
@@ -460,11 +1211,19 @@ class CyberStrudel {
         if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
         const evaluateBtn = document.getElementById('evaluate-btn');
         if (evaluateBtn) evaluateBtn.addEventListener('click', () => this.evaluateCode());
+        const evalQuantize = document.getElementById('eval-quantize');
+        if (evalQuantize) evalQuantize.addEventListener('change', (e) => {
+            this.evalState.quantize = e.target.value;
+            this.saveToLocalStorage();
+        });
+        const codeToGridBtn = document.getElementById('code-to-grid-btn');
+        if (codeToGridBtn) codeToGridBtn.addEventListener('click', () => {
+            this.syncCodeToSequencer(this.getCode());
+        });
         const clearCodeBtn = document.getElementById('clear-code-btn');
         if (clearCodeBtn) clearCodeBtn.addEventListener('click', () => {
             this.saveToHistory();
-            const codeEditor = document.getElementById('code-editor');
-            if (codeEditor) codeEditor.value = '';
+            this.setCode('');
             this.mixedPatterns = { presets: {}, tracks: {}, saved: {} };
             this.getTracks().forEach(track => {
                 const mixBtn = document.getElementById(`mix-${track}`);
@@ -497,17 +1256,22 @@ class CyberStrudel {
         if (saveCodeBtn) saveCodeBtn.addEventListener('click', () => this.saveCode());
         const loadCodeBtn = document.getElementById('load-code-btn');
         if (loadCodeBtn) loadCodeBtn.addEventListener('click', () => this.loadCode());
-        const codeEditor = document.getElementById('code-editor');
-        if (codeEditor) codeEditor.addEventListener('input', debounce(() => {
-            this.saveToHistory();
-            this.saveToLocalStorage();
-        }, 500));
+        const codeEditorEl = document.getElementById('code-editor');
+        if (codeEditorEl) this.codeEditor = new CodeEditor(codeEditorEl, {
+            onRun: () => this.evaluateCode(),
+            onStop: () => this.stop(),
+            onInput: debounce(() => {
+                this.saveToHistory();
+                this.saveToLocalStorage();
+            }, 500),
+            completions: () => this.getEditorCompletions()
+        });
+        this.setupKeyboardShortcuts();
         
         // AI Generator Button Listener
         const generateAiBtn = document.getElementById('generate-ai-btn');
         if (generateAiBtn) generateAiBtn.addEventListener('click', () => this.generateAIPattern());
 
-        this.getTracks().forEach(track => this.setupTrackListeners(track));
         const addTrackBtn = document.getElementById('add-track');
         if (addTrackBtn) addTrackBtn.addEventListener('click', () => this.addTrack());
         const removeTrackBtn = document.getElementById('remove-track');
@@ -528,22 +1292,33 @@ class CyberStrudel {
         if (scopeBtn) scopeBtn.addEventListener('click', () => this.toggleVisualizer('scope'));
         const spectrumBtn = document.getElementById('spectrum-btn');
         if (spectrumBtn) spectrumBtn.addEventListener('click', () => this.toggleVisualizer('spectrum'));
-        const updateSynthSlider = (id, param, unit = '') => {
-            const slider = document.getElementById(id);
-            if (slider) slider.addEventListener('input', debounce((e) => {
-                this.synthParams[param] = parseFloat(e.target.value);
-                const valueEl = document.getElementById(`${id}-value`);
-                if (valueEl) valueEl.textContent = `${this.synthParams[param]}${unit}`;
-                slider.setAttribute('aria-valuenow', this.synthParams[param]);
-                this.saveToLocalStorage();
-            }, 100));
-        };
-        updateSynthSlider('lpf-freq', 'lpf', ' Hz');
-        updateSynthSlider('lpq', 'lpq');
-        updateSynthSlider('room', 'room');
-        updateSynthSlider('delay', 'delay');
+        // The value changes on every input event so live synth follows the slider; saving can wait
+        const saveSynth = debounce(() => this.saveToLocalStorage(), 300);
+        let synthGesture = false;
+        this.synthControls.forEach(control => {
+            const input = document.getElementById(control.id);
+            if (!input) return;
+            input.addEventListener('input', (e) => {
+                // One undo entry per drag; a recording take already has its own
+                if (!synthGesture && !this.automationState.recording) this.saveToHistory();
+                synthGesture = true;
+                this.synthParams[control.param] = typeof control.off === 'string' ? e.target.value : parseFloat(e.target.value);
+                this.recordAutomation(control.param, this.synthParams[control.param]);
+                this.updateSynthControlUI(control);
+                saveSynth();
+            });
+            input.addEventListener('change', () => {
+                synthGesture = false;
+                // Engaging or releasing an effect changes the live chain itself
+                if (this.synthParams.live && this.isPlaying && this.getLiveSynthParams().join() !== this.liveSynthParams.join()) {
+                    this.evaluateCode();
+                }
+            });
+        });
         const updateBpmSlider = () => {
             const slider = document.getElementById('bpm');
+            // Recording reads every movement, not just the value the debounce lets through
+            if (slider) slider.addEventListener('input', (e) => this.recordAutomation('bpm', parseFloat(e.target.value)));
             if (slider) slider.addEventListener('input', debounce((e) => {
                 this.synthParams.bpm = parseFloat(e.target.value);
                 const valueEl = document.getElementById('bpm-value');
@@ -551,7 +1326,7 @@ class CyberStrudel {
                 slider.setAttribute('aria-valuenow', this.synthParams.bpm);
                 this.saveToLocalStorage();
                 if (this.synthParams.bpmEnabled) {
-                    this.updateMixedCode();
+                    this.applyTempoChange();
                     this.showNotification(`BPM set to ${this.synthParams.bpm}`, 'success');
                 }
             }, 100));
@@ -561,16 +1336,28 @@ class CyberStrudel {
         if (bpmEnable) bpmEnable.addEventListener('change', (e) => {
             this.saveToHistory();
             this.synthParams.bpmEnabled = e.target.checked;
-            this.updateMixedCode();
-            if (this.isPlaying) {
-                this.evaluateCode();
-            }
+            this.applyTempoChange();
             this.saveToLocalStorage();
             this.showNotification(`BPM ${this.synthParams.bpmEnabled ? 'enabled' : 'disabled'}`, 'success');
         });
-        const applySynthBtn = document.getElementById('apply-synth');
-        if (applySynthBtn) applySynthBtn.addEventListener('click', () => this.applySynthToCode());
+        const synthLive = document.getElementById('synth-live');
+        if (synthLive) synthLive.addEventListener('change', (e) => {
+            this.saveToHistory();
+            this.synthParams.live = e.target.checked;
+            if (this.isPlaying) this.evaluateCode();
+            this.saveToLocalStorage();
+            this.showNotification(`Live synth ${this.synthParams.live ? 'on' : 'off'}`, 'success');
+        });
+        const bakeSynthBtn = document.getElementById('bake-synth');
+        if (bakeSynthBtn) bakeSynthBtn.addEventListener('click', () => this.bakeSynthToCode());
         this.setupMixCheckboxes();
+        this.setupSequencerSettingsControls();
+        this.setupSongControls();
+        this.setupRecordControls();
+        this.setupSceneControls();
+        this.setupDeckControls();
+        this.setupModControls();
+        this.setupAutomationControls();
         Object.keys(this.presets).forEach(key => {
             const presetBtn = document.getElementById(`preset-${key}`);
             if (presetBtn) presetBtn.addEventListener('click', () => {
@@ -612,16 +1399,77 @@ class CyberStrudel {
         });
     }
 
-    async generateAIPattern() {
-      
-
-        const promptInput = document.getElementById('ai-prompt');
-        const codeEditor = document.getElementById('code-editor');
-        const generateBtn = document.getElementById('generate-ai-btn');
+    isTextEntry(target) {
+        // CodeMirror's mobile input is a contenteditable div rather than a textarea
+        return !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+    }
 
-        if (!promptInput || !codeEditor || !generateBtn) {
-            this.showNotification('UI elements for AI generator not found.', 'error');
-            return;
+    setupKeyboardShortcuts() {
+        // The shortcuts the tutorial documents; inside the editor CodeMirror handles its own
+        document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented) return;
+            const mod = e.ctrlKey || e.metaKey;
+            const key = e.key.toLowerCase();
+            if (mod && key === 'enter') {
+                e.preventDefault();
+                this.evaluateCode();
+                return;
+            }
+            if (mod && key === '.') {
+                e.preventDefault();
+                this.stop();
+                return;
+            }
+            if (this.isTextEntry(e.target)) return;
+            if (mod && key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (mod && (key === 'y' || (key === 'z' && e.shiftKey))) {
+                e.preventDefault();
+                this.redo();
+            } else if (key === ' ' && !mod && !e.altKey && !e.target.closest?.('button, [role="button"], a')) {
+                e.preventDefault();
+                this.togglePlayback();
+            }
+        });
+    }
+
+    getEditorCompletions() {
+        const api = this.strudelAPI || {};
+        const { Pattern } = api;
+        const names = Object.keys(api).filter(name => /^[a-z]/i.test(name));
+        const sounds = new Set([
+            ...Object.keys(api.soundMap?.get?.() || {}),
+            ...Object.keys(this.soundOptions),
+            ...Object.values(this.drumKits).map(kit => kit.bank).filter(Boolean)
+        ]);
+        return {
+            functions: names.filter(name => typeof api[name] === 'function' || (Pattern && api[name] instanceof Pattern)),
+            methods: Pattern ? Object.getOwnPropertyNames(Pattern.prototype).filter(name => /^[a-z]/i.test(name)) : [],
+            sounds: [...sounds].sort(),
+            // Mini-notation splits on spaces, so multi-word scales are written with colons
+            scales: [...new Set([...Object.keys(this.noteScales), ...this.scaleNames].map(name => name.replace(/ /g, ':')))]
+        };
+    }
+
+    get scaleNames() {
+        return [
+            'major', 'minor', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'locrian', 'harmonic minor', 'melodic minor',
+            'major pentatonic', 'minor pentatonic', 'blues', 'major blues', 'chromatic', 'whole tone', 'diminished',
+            'augmented', 'bebop', 'egyptian', 'hirajoshi', 'in-sen', 'iwato', 'kumoi', 'pelog', 'ritusen', 'yo',
+            'hungarian minor', 'double harmonic major', 'lydian dominant', 'phrygian dominant', 'altered'
+        ];
+    }
+
+    async generateAIPattern() {
+      
+
+        const promptInput = document.getElementById('ai-prompt');
+        const generateBtn = document.getElementById('generate-ai-btn');
+
+        if (!promptInput || !generateBtn) {
+            this.showNotification('UI elements for AI generator not found.', 'error');
+            return;
         }
 
         const userQuery = promptInput.value.trim();
@@ -675,7 +1523,7 @@ class CyberStrudel {
             if (result.code) {
                 let generatedCode = result.code;
                 generatedCode = generatedCode.replace(/```javascript|```/g, "").trim();
-                codeEditor.value = generatedCode;
+                this.setCode(generatedCode);
                 this.showNotification('الگوی جدید با موفقیت ساخته شد!', 'success');
                 this.evaluateCode();
             } else {
@@ -692,9 +1540,7 @@ class CyberStrudel {
 
 
     toggleVisualizer(type) {
-        const codeEl = document.getElementById('code-editor');
-        if (!codeEl) return;
-        let code = codeEl.value.trim();
+        let code = this.getCode().trim();
         if (!code) return;
         const scopeEnd = '.scope()';
         const spectrumEnd = '.spectrum()';
@@ -716,7 +1562,7 @@ class CyberStrudel {
                 newCode += spectrumEnd;
             }
         }
-        codeEl.value = newCode;
+        this.setCode(newCode);
         this.saveToHistory();
         this.evaluateCode();
         const isActive = (type === 'scope' ? newCode.endsWith(scopeEnd) : newCode.endsWith(spectrumEnd));
@@ -862,6 +1708,7 @@ stack(
 
     changeTrackSound(track, sound) {
         this.trackStates[track].sound = sound;
+        this.updateSequencerTrack(track);
         if (this.mixedPatterns.tracks[track]) {
             this.updateMixedCode();
         }
@@ -869,9 +1716,227 @@ stack(
         this.showNotification(`${track.toUpperCase()} sound set to ${sound}`, 'success');
     }
 
+    changeTrackParam(track, param, value) {
+        this.trackStates[track].params[param] = value;
+        this.syncTrackControls(track);
+        if (this.mixedPatterns.tracks[track]) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+    }
+
+    changeTrackSwing(track, swing) {
+        this.trackStates[track].swing = swing === null || isNaN(swing) ? null : Math.min(100, Math.max(0, swing));
+        if (this.mixedPatterns.tracks[track]) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+        const swingLabel = this.trackStates[track].swing === null ? 'global' : `${this.trackStates[track].swing}%`;
+        this.showNotification(`${track.toUpperCase()} swing set to ${swingLabel}`, 'success');
+    }
+
+    get grooveTemplates() {
+        // Offsets are fractions of a step at 100% swing, repeating across the track
+        return {
+            mpc16: { name: 'MPC 16th Swing', offsets: [0, 0.5] },
+            shuffle: { name: 'Shuffle', offsets: [0, 1 / 3] },
+            triplet: { name: 'Triplet Feel', offsets: [0, 1 / 3, 2 / 3, 0] }
+        };
+    }
+
+    setupSequencerSettingsControls() {
+        const grooveSelect = document.getElementById('groove-template');
+        if (grooveSelect) {
+            grooveSelect.innerHTML = Object.entries(this.grooveTemplates)
+                .map(([key, template]) => `<option value="${key}">${template.name}</option>`)
+                .join('');
+            grooveSelect.addEventListener('change', (e) => {
+                this.saveToHistory();
+                this.sequencerSettings.groove = e.target.value;
+                this.applySequencerSettingsChange();
+                this.showNotification(`Groove set to ${this.grooveTemplates[e.target.value].name}`, 'success');
+            });
+        }
+        const swingSlider = document.getElementById('swing');
+        if (swingSlider) {
+            swingSlider.addEventListener('input', (e) => {
+                const valueEl = document.getElementById('swing-value');
+                if (valueEl) valueEl.textContent = `${e.target.value}%`;
+            });
+            swingSlider.addEventListener('change', (e) => {
+                this.saveToHistory();
+                this.sequencerSettings.swing = parseFloat(e.target.value);
+                this.applySequencerSettingsChange();
+                this.showNotification(`Swing set to ${this.sequencerSettings.swing}%`, 'success');
+            });
+        }
+        const polymeterEnable = document.getElementById('polymeter-enable');
+        if (polymeterEnable) polymeterEnable.addEventListener('change', (e) => {
+            this.saveToHistory();
+            this.sequencerSettings.polymeter = e.target.checked;
+            this.applySequencerSettingsChange();
+            this.showNotification(`Polymeter ${this.sequencerSettings.polymeter ? 'enabled' : 'disabled'}`, 'success');
+        });
+        const stepsPerCycle = document.getElementById('steps-per-cycle');
+        if (stepsPerCycle) stepsPerCycle.addEventListener('change', (e) => {
+            const count = parseInt(e.target.value);
+            if (isNaN(count) || count < 1 || count > this.maxSteps) {
+                e.target.value = this.sequencerSettings.stepsPerCycle;
+                this.showNotification(`Steps per cycle must be between 1 and ${this.maxSteps}`, 'error');
+                return;
+            }
+            this.saveToHistory();
+            this.sequencerSettings.stepsPerCycle = count;
+            this.applySequencerSettingsChange();
+            this.showNotification(`Polymeter resolution set to ${count} steps per cycle`, 'success');
+        });
+        const kitSelect = document.getElementById('drum-kit');
+        if (kitSelect) kitSelect.addEventListener('change', (e) => {
+            this.saveToHistory();
+            this.sequencerSettings.kit = e.target.value;
+            this.applySequencerSettingsChange();
+            this.showNotification(`Kit switched to ${this.drumKits[e.target.value].name}`, 'success');
+        });
+        const kitSave = document.getElementById('kit-save');
+        if (kitSave) kitSave.addEventListener('click', () => this.saveCustomKit());
+        const kitDelete = document.getElementById('kit-delete');
+        if (kitDelete) kitDelete.addEventListener('click', () => this.deleteCustomKit());
+        const gridZoom = document.getElementById('grid-zoom');
+        if (gridZoom) gridZoom.addEventListener('change', (e) => {
+            this.gridZoom = parseInt(e.target.value);
+            this.adjustSequencerGrid();
+            this.saveToLocalStorage();
+        });
+        this.updateSequencerSettingsUI();
+    }
+
+    updateSequencerSettingsUI() {
+        const grooveSelect = document.getElementById('groove-template');
+        if (grooveSelect) grooveSelect.value = this.sequencerSettings.groove;
+        const swingSlider = document.getElementById('swing');
+        if (swingSlider) {
+            swingSlider.value = this.sequencerSettings.swing;
+            swingSlider.setAttribute('aria-valuenow', this.sequencerSettings.swing);
+        }
+        const valueEl = document.getElementById('swing-value');
+        if (valueEl) valueEl.textContent = `${this.sequencerSettings.swing}%`;
+        const polymeterEnable = document.getElementById('polymeter-enable');
+        if (polymeterEnable) polymeterEnable.checked = this.sequencerSettings.polymeter;
+        const stepsPerCycle = document.getElementById('steps-per-cycle');
+        if (stepsPerCycle) stepsPerCycle.value = this.sequencerSettings.stepsPerCycle;
+        const gridZoom = document.getElementById('grid-zoom');
+        if (gridZoom) gridZoom.value = this.gridZoom;
+        this.updateKitUI();
+    }
+
+    updateKitUI() {
+        const kits = this.drumKits;
+        if (!kits[this.sequencerSettings.kit]) this.sequencerSettings.kit = 'dirt';
+        const kit = kits[this.sequencerSettings.kit];
+        const kitSelect = document.getElementById('drum-kit');
+        if (kitSelect) {
+            kitSelect.innerHTML = Object.entries(kits)
+                .map(([key, { name }]) => `<option value="${this.escapeHTML(key)}">${this.escapeHTML(name)}</option>`)
+                .join('');
+            kitSelect.value = this.sequencerSettings.kit;
+        }
+        const kitName = document.getElementById('kit-name');
+        if (kitName) kitName.value = kit.name;
+        const kitBank = document.getElementById('kit-bank');
+        if (kitBank) kitBank.value = kit.bank;
+        const kitMap = document.getElementById('kit-map');
+        if (kitMap) kitMap.value = Object.entries({ ...kit.sounds, ...kit.map }).map(([from, to]) => `${from}=${to}`).join(', ');
+        const kitDelete = document.getElementById('kit-delete');
+        if (kitDelete) kitDelete.disabled = !this.customKits[this.sequencerSettings.kit];
+    }
+
+    saveCustomKit() {
+        const name = document.getElementById('kit-name')?.value.trim();
+        const bank = document.getElementById('kit-bank')?.value.trim() || '';
+        const mapText = document.getElementById('kit-map')?.value || '';
+        if (!name) {
+            this.showNotification('Kit name is required', 'error');
+            return;
+        }
+        const pairs = mapText.split(',').map(pair => pair.trim()).filter(Boolean);
+        const map = {};
+        for (const pair of pairs) {
+            const match = pair.match(/^([\w#-]+)\s*=\s*([\w:-]+)$/);
+            if (!match) {
+                this.showNotification(`Kit mapping "${pair}" must look like track=sample`, 'error');
+                return;
+            }
+            map[match[1]] = match[2];
+        }
+        if (!bank && pairs.length === 0) {
+            this.showNotification('A kit needs a bank or at least one mapping', 'error');
+            return;
+        }
+        const key = `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        this.saveToHistory();
+        this.customKits[key] = { name, bank, map };
+        this.sequencerSettings.kit = key;
+        this.applySequencerSettingsChange();
+        this.showNotification(`Kit "${name}" saved`, 'success');
+    }
+
+    deleteCustomKit() {
+        const key = this.sequencerSettings.kit;
+        if (!this.customKits[key]) {
+            this.showNotification('Built-in kits cannot be deleted', 'error');
+            return;
+        }
+        this.saveToHistory();
+        const { name } = this.customKits[key];
+        delete this.customKits[key];
+        this.sequencerSettings.kit = 'dirt';
+        this.applySequencerSettingsChange();
+        this.showNotification(`Kit "${name}" deleted`, 'success');
+    }
+
+    checkKitAvailable(owner) {
+        const kit = this.sequencerSettings.kit;
+        if (this.drumKits[kit]) return;
+        this.sequencerSettings.kit = 'dirt';
+        this.showNotification(`${owner} uses kit "${kit}", which is not defined here — falling back to Dirt Samples`, 'error');
+    }
+
+    applySequencerSettingsChange() {
+        this.updateSequencerSettingsUI();
+        if (Object.values(this.mixedPatterns.tracks).some(v => v)) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+    }
+
+    getStepOffsets(track) {
+        const template = this.grooveTemplates[this.sequencerSettings.groove] || this.grooveTemplates.mpc16;
+        const swing = this.trackStates[track].swing ?? this.sequencerSettings.swing;
+        return Array.from({ length: this.trackStates[track].steps }, (_, i) => template.offsets[i % template.offsets.length] * swing / 100);
+    }
+
+    getStepTimings(track) {
+        // Groove offset plus the step's own nudge, in fractions of a step
+        const swing = this.getStepOffsets(track);
+        return swing.map((offset, i) => {
+            const step = this.sequencerState[track][i];
+            return step ? offset + step.nudge / 100 : offset;
+        });
+    }
+
+    getStepDuration(track) {
+        return 1 / (this.sequencerSettings.polymeter ? this.sequencerSettings.stepsPerCycle : this.trackStates[track].steps);
+    }
+
+    toMiniSequence(tokens) {
+        // In polymeter mode every track steps at the same rate and loops on its own length
+        const sequence = tokens.join(' ');
+        return this.sequencerSettings.polymeter ? `{${sequence}}%${this.sequencerSettings.stepsPerCycle}` : sequence;
+    }
+
     randomizeTrack(track) {
         const stepCount = this.trackStates[track].steps;
-        this.sequencerState[track] = Array(stepCount).fill(false).map(() => Math.random() > 0.7);
+        this.sequencerState[track] = Array(stepCount).fill(false).map(() => Math.random() > 0.7 ? this.createStep() : false);
         this.updateSequencerUI(track);
         if (this.mixedPatterns.tracks[track]) {
             this.updateMixedCode();
@@ -880,26 +1945,265 @@ stack(
         this.showNotification(`${track.toUpperCase()} randomized`, 'success');
     }
 
+    euclidPattern(pulses, steps, rotation = 0) {
+        // Same Bjorklund grouping and rotation direction as Strudel's euclidRot
+        let counts = [pulses, steps - pulses];
+        let groups = [Array(pulses).fill([1]), Array(steps - pulses).fill([0])];
+        while (Math.min(...counts) > 1) {
+            const [ons, offs] = counts;
+            const [xs, ys] = groups;
+            if (ons > offs) {
+                counts = [offs, ons - offs];
+                groups = [xs.slice(0, offs).map((x, i) => x.concat(ys[i])), xs.slice(offs)];
+            } else {
+                counts = [ons, offs - ons];
+                groups = [xs.map((x, i) => x.concat(ys[i])), ys.slice(ons)];
+            }
+        }
+        const pattern = groups[0].flat().concat(groups[1].flat());
+        const shift = rotation % steps;
+        return shift ? pattern.slice(-shift).concat(pattern.slice(0, -shift)) : pattern;
+    }
+
+    toggleEuclidPanel(track) {
+        const panel = document.getElementById(`${track}-euclid`);
+        if (!panel) return;
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            this.euclidPreview = null;
+            this.updateSequencerUI(track);
+            return;
+        }
+        const current = this.trackStates[track].euclid || { pulses: 3, steps: this.trackStates[track].steps, rotation: 0, compact: true };
+        document.getElementById(`${track}-euclid-pulses`).value = current.pulses;
+        document.getElementById(`${track}-euclid-steps`).value = current.steps;
+        document.getElementById(`${track}-euclid-rotation`).value = current.rotation;
+        document.getElementById(`${track}-euclid-compact`).checked = current.compact;
+        panel.style.display = '';
+        this.previewEuclid(track);
+    }
+
+    readEuclidInputs(track) {
+        const pulses = parseInt(document.getElementById(`${track}-euclid-pulses`)?.value);
+        const steps = parseInt(document.getElementById(`${track}-euclid-steps`)?.value);
+        const rotation = parseInt(document.getElementById(`${track}-euclid-rotation`)?.value) || 0;
+        if (isNaN(steps) || steps < 1 || steps > this.maxSteps || isNaN(pulses) || pulses < 0 || pulses > steps || rotation < 0 || rotation >= steps) {
+            return null;
+        }
+        const compact = !!document.getElementById(`${track}-euclid-compact`)?.checked;
+        return { pulses, steps, rotation, compact };
+    }
+
+    previewEuclid(track) {
+        const settings = this.readEuclidInputs(track);
+        this.euclidPreview = settings ? { track, pattern: this.euclidPattern(settings.pulses, settings.steps, settings.rotation) } : null;
+        this.updateSequencerUI(track);
+    }
+
+    applyEuclid(track, { pulses, steps, rotation, compact }) {
+        const pattern = this.euclidPattern(pulses, steps, rotation);
+        const current = this.sequencerState[track];
+        this.trackStates[track].steps = steps;
+        this.trackStates[track].euclid = { pulses, steps, rotation, compact };
+        this.sequencerState[track] = pattern.map((hit, i) => hit ? (current[i] || this.createStep()) : false);
+        this.euclidPreview = null;
+        const panel = document.getElementById(`${track}-euclid`);
+        if (panel) panel.style.display = 'none';
+        this.syncTrackControls(track);
+        this.updateSequencerTrack(track);
+        if (this.mixedPatterns.tracks[track]) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+        this.showNotification(`${track.toUpperCase()} filled with Euclid (${pulses},${steps},${rotation})`, 'success');
+    }
+
+    getCompactEuclid(track) {
+        // Only while the grid still holds the untouched Euclid fill
+        const euclid = this.trackStates[track].euclid;
+        const stepCount = this.trackStates[track].steps;
+        if (!euclid || !euclid.compact || euclid.steps !== stepCount) return null;
+        if (this.sequencerSettings.polymeter && this.sequencerSettings.stepsPerCycle !== stepCount) return null;
+        const cells = this.sequencerState[track].slice(0, stepCount);
+        const pattern = this.euclidPattern(euclid.pulses, euclid.steps, euclid.rotation);
+        const matches = pattern.every((hit, i) => !!hit === !!cells[i]);
+        const plain = cells.every(step => !step || (step.velocity === 1 && step.probability === 100 && !step.condition && step.ratchet === 1 && step.nudge === 0));
+        const notes = new Set(cells.filter(step => step).map(step => this.getStepNote(track, step)));
+        if (!matches || !plain || (this.isMelodicTrack(track) && notes.size > 1)) return null;
+        const args = euclid.rotation ? `${euclid.pulses},${euclid.steps},${euclid.rotation}` : `${euclid.pulses},${euclid.steps}`;
+        const value = this.isMelodicTrack(track) ? [...notes][0] : this.getTrackSample(track).sound;
+        return `${value}(${args})`;
+    }
+
+    get editOperations() {
+        return {
+            'rotate-left': { icon: 'la-arrow-left', label: 'Rotate left' },
+            'rotate-right': { icon: 'la-arrow-right', label: 'Rotate right' },
+            invert: { icon: 'la-adjust', label: 'Invert' },
+            reverse: { icon: 'la-exchange-alt', label: 'Reverse' },
+            double: { icon: 'la-plus-square', label: 'Double length' },
+            halve: { icon: 'la-minus-square', label: 'Halve length' },
+            copy: { icon: 'la-copy', label: 'Copy steps (Alt+click to pick a range)' },
+            paste: { icon: 'la-paste', label: 'Paste steps' }
+        };
+    }
+
+    editTrack(track, operation) {
+        if (operation === 'copy') return this.copySteps(track);
+        if (operation === 'paste') return this.pasteSteps(track);
+        const stepCount = this.trackStates[track].steps;
+        const cells = this.sequencerState[track].slice(0, stepCount);
+        let result;
+        switch (operation) {
+            case 'rotate-left':
+                result = cells.slice(1).concat(cells.slice(0, 1));
+                break;
+            case 'rotate-right':
+                result = cells.slice(-1).concat(cells.slice(0, -1));
+                break;
+            case 'invert':
+                result = cells.map(step => step ? false : this.createStep());
+                break;
+            case 'reverse':
+                result = cells.slice().reverse();
+                break;
+            case 'double':
+                if (stepCount * 2 > this.maxSteps) {
+                    this.showNotification(`${this.getTrackName(track)} cannot grow beyond ${this.maxSteps} steps`, 'error');
+                    return;
+                }
+                result = cells.concat(cells.map(step => step && { ...step }));
+                break;
+            case 'halve':
+                if (stepCount < 2) {
+                    this.showNotification(`${this.getTrackName(track)} is already a single step`, 'error');
+                    return;
+                }
+                result = cells.slice(0, Math.ceil(stepCount / 2));
+                break;
+            default:
+                return;
+        }
+        this.saveToHistory();
+        this.commitTrackSteps(track, result);
+        this.showNotification(`${this.getTrackName(track)}: ${this.editOperations[operation].label.toLowerCase()}`, 'success');
+    }
+
+    commitTrackSteps(track, steps) {
+        this.closeStepInspector();
+        const resized = steps.length !== this.trackStates[track].steps;
+        this.sequencerState[track] = steps;
+        this.trackStates[track].steps = steps.length;
+        if (resized) {
+            this.syncTrackControls(track);
+            this.updateSequencerTrack(track);
+        } else {
+            this.updateSequencerUI(track);
+        }
+        if (this.mixedPatterns.tracks[track]) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+    }
+
+    selectStepRange(track, index) {
+        const previous = this.stepSelection;
+        if (previous && previous.track === track && previous.start === previous.end) {
+            this.stepSelection = { track, start: previous.start, end: index };
+        } else {
+            this.stepSelection = { track, start: index, end: index };
+        }
+        if (previous && previous.track !== track) this.updateSequencerUI(previous.track);
+        this.updateSequencerUI(track);
+    }
+
+    getSelectedRange(track) {
+        const selection = this.stepSelection;
+        if (!selection || selection.track !== track) return null;
+        return [Math.min(selection.start, selection.end), Math.max(selection.start, selection.end)];
+    }
+
+    isStepSelected(track, index) {
+        const range = this.getSelectedRange(track);
+        return !!range && index >= range[0] && index <= range[1];
+    }
+
+    copySteps(track) {
+        const range = this.getSelectedRange(track);
+        const [start, end] = range || [0, this.trackStates[track].steps - 1];
+        this.stepClipboard = {
+            steps: JSON.parse(JSON.stringify(this.sequencerState[track].slice(start, end + 1))),
+            range: !!range
+        };
+        this.showNotification(`Copied ${end - start + 1} steps from ${this.getTrackName(track)}`, 'success');
+    }
+
+    pasteSteps(track) {
+        if (!this.stepClipboard) {
+            this.showNotification('Copy a track or step range first', 'error');
+            return;
+        }
+        this.saveToHistory();
+        const copied = JSON.parse(JSON.stringify(this.stepClipboard.steps));
+        if (!this.stepClipboard.range) {
+            this.commitTrackSteps(track, copied);
+        } else {
+            const stepCount = this.trackStates[track].steps;
+            const start = this.getSelectedRange(track)?.[0] || 0;
+            const cells = this.sequencerState[track].slice(0, stepCount);
+            copied.forEach((step, i) => {
+                if (start + i < stepCount) cells[start + i] = step;
+            });
+            this.commitTrackSteps(track, cells);
+        }
+        this.stepSelection = null;
+        this.updateSequencerUI(track);
+        this.showNotification(`Pasted ${copied.length} steps into ${this.getTrackName(track)}`, 'success');
+    }
+
+    startPaint(track, index) {
+        this.saveToHistory();
+        this.paintState = { value: !this.sequencerState[track][index], tracks: new Set() };
+        this.paintStep(track, index);
+    }
+
+    paintStep(track, index) {
+        if (!this.paintState) return;
+        const cells = this.sequencerState[track];
+        if (!!cells[index] === this.paintState.value) return;
+        cells[index] = this.paintState.value ? this.createStep() : false;
+        if (!cells[index] && this.inspectedStep?.track === track && this.inspectedStep.index === index) {
+            this.closeStepInspector();
+        }
+        this.paintState.tracks.add(track);
+        this.updateSequencerUI(track);
+    }
+
+    endPaint() {
+        if (!this.paintState) return;
+        const { tracks } = this.paintState;
+        this.paintState = null;
+        if ([...tracks].some(track => this.mixedPatterns.tracks[track])) {
+            this.updateMixedCode();
+        }
+        this.saveToLocalStorage();
+    }
+
     generateTrackCode(track) {
         if (this.trackStates[track].muted || (Object.values(this.trackStates).some(state => state.solo) && !this.trackStates[track].solo)) {
             this.showNotification(`${track.toUpperCase()} is muted or not soloed`, 'error');
             return;
         }
-        const stepCount = this.trackStates[track].steps;
         const sound = this.trackStates[track].sound;
-        const steps = this.sequencerState[track].slice(0, stepCount).map(active => active ? 'x' : '~').join(' ');
-        if (!steps.includes('x')) {
+        let code = this.buildTrackCode(track);
+        if (!code) {
             this.showNotification(`No active steps in ${track.toUpperCase()}`, 'error');
             return;
         }
-        let code = ['sawtooth', 'sine', 'triangle'].includes(sound)
-            ? `note('c3').sound('${sound}').struct("${steps}").gain(0.8)`
-            : `s("${sound}*${stepCount}").struct("${steps}").gain(0.8)`;
         if (this.synthParams.bpmEnabled) {
             code = `setCps(${this.synthParams.bpm}/60/4)\n${code}`;
         }
-        const codeEditor = document.getElementById('code-editor');
-        if (codeEditor) codeEditor.value = code;
+        this.setCode(code);
         this.mixedPatterns = { presets: {}, tracks: { [track]: true }, saved: {} };
         this.getTracks().forEach(t => {
             const mixBtn = document.getElementById(`mix-${t}`);
@@ -930,187 +2234,94 @@ stack(
         this.showNotification(`Code generated for ${track.toUpperCase()} with ${sound}`, 'success');
     }
 
-    updateMixedCode() {
-        const patterns = [];
-        const globals = new Set(); // برای globals مثل setDefaultVoicings
-        let patternCounter = 1; // برای نام‌گذاری p1:, p2:, ...
+    buildTrackCode(track) {
+        const stepCount = this.trackStates[track].steps;
+        const { sound, bank } = this.getTrackSample(track);
+        const cells = this.sequencerState[track].slice(0, stepCount);
+        if (!cells.some(step => step)) return null;
+        const offsets = this.getStepTimings(track);
+        // Patterned late() drops onsets pushed out of their own step, so early nudges and
+        // late ratchets are placed inside the step with weights and the track pulled back by early()
+        const inline = cells.some((step, i) => step && (offsets[i] < 0 || (step.ratchet > 1 && offsets[i] > 0)));
+        const early = inline ? Math.max(0, ...cells.map((step, i) => step ? -offsets[i] : 0)) : 0;
+        const place = (token, i) => {
+            const offset = Math.min(offsets[i] + early, 0.95);
+            if (!inline || offset <= 0) return token;
+            return `[~@${Number(offset.toFixed(3))} ${token}@${Number((1 - offset).toFixed(3))}]`;
+        };
+        let code;
+        const euclid = this.getCompactEuclid(track);
+        if (euclid) {
+            code = this.isMelodicTrack(track) ? `note("${euclid}").sound('${sound}')` : `s("${euclid}")${bank ? `.bank("${bank}")` : ''}`;
+        } else if (this.isMelodicTrack(track)) {
+            const notes = this.toMiniSequence(cells.map((step, i) => step ? place(this.buildStepToken(step, this.getStepNote(track, step)), i) : '~'));
+            code = `note("${notes}").sound('${sound}')`;
+        } else {
+            const steps = this.toMiniSequence(cells.map((step, i) => step ? place(this.buildStepToken(step, 'x'), i) : '~'));
+            code = `s("${sound}*${stepCount}")${bank ? `.bank("${bank}")` : ''}.struct("${steps}")`;
+        }
+        if (cells.some(step => step && step.velocity !== 1)) {
+            const velocities = this.toMiniSequence(cells.map(step => step ? Number(step.velocity.toFixed(2)) : 0));
+            code += `.velocity("${velocities}")`;
+        }
+        const stepDuration = this.getStepDuration(track);
+        if (inline) {
+            if (early) code += `.early(${Number((early * stepDuration).toFixed(4))})`;
+        } else if (offsets.some(offset => offset !== 0)) {
+            code += `.late("${this.toMiniSequence(offsets.map(offset => Number((offset * stepDuration).toFixed(4))))}")`;
+        }
+        return code + this.buildTrackParamCode(track);
+    }
 
-        // === 1️⃣ Handle active sequencer tracks (wrap as pX:) ===
+    buildTrackParamCode(track) {
+        const params = this.trackStates[track].params;
+        const isMelodic = this.isMelodicTrack(track);
+        return Object.entries(this.trackParams)
+            .filter(([param, { sampleOnly }]) => param !== 'gain' && !(sampleOnly && isMelodic) && params[param] !== this.trackParams[param].default)
+            .map(([param]) => `.${param}(${params[param]})`)
+            .join('') + `.gain(${params.gain})`;
+    }
+
+    updateMixedCode() {
+        const sources = [];
         this.getTracks().forEach(track => {
             if (this.mixedPatterns.tracks[track]) {
                 if (this.trackStates[track].muted || (Object.values(this.trackStates).some(state => state.solo) && !this.trackStates[track].solo)) {
                     return;
                 }
-                const stepCount = this.trackStates[track].steps;
-                const sound = this.trackStates[track].sound;
-                const steps = this.sequencerState[track].slice(0, stepCount).map(active => active ? 'x' : '~').join(' ');
-                if (steps.includes('x')) {
-                    const code = ['sawtooth', 'sine', 'triangle'].includes(sound)
-                        ? `p${patternCounter}: note('c3').sound('${sound}').struct("${steps}").gain(0.8)`
-                        : `p${patternCounter}: s("${sound}*${stepCount}").struct("${steps}").gain(0.8)`;
-                    patterns.push({ code: code.trim(), source: `track_${track}` });
-                    patternCounter++;
-                }
+                const trackCode = this.buildTrackCode(track);
+                if (trackCode) sources.push({ id: `track_${track}`, name: `Track ${this.getTrackName(track)}`, code: trackCode });
             }
         });
-
-        // === 2️⃣ Handle preset patterns ===
         Object.keys(this.mixedPatterns.presets).forEach(key => {
-            if (this.mixedPatterns.presets[key]) {
-                let cleanPreset = this.presets[key]
-                    .replace(/setCps\s*\([^)]*\)\s*;?/gi, '') // حذف setCps
-                    .replace(/;+\s*$/gm, '') // حذف semicolonها
-                    .trim();
-                // Extract globals
-                const globalMatch = cleanPreset.match(/^(setDefaultVoicings\s*\([^)]*\))\s*[\n;]*/);
-                if (globalMatch) {
-                    globals.add(globalMatch[1].trim());
-                    cleanPreset = cleanPreset.replace(globalMatch[0], '').trim();
-                }
-                // Clean trailing commas only at the end of logical blocks
-                const lines = cleanPreset.split('\n').filter(line => line.trim());
-                let finalCode = lines.join('\n');
-                if (lines.length > 0) {
-                    const isLabeled = lines.some(line => /^\s*p\d+:/i.test(line));
-                    if (!isLabeled) {
-                        // اگر غیر-labeled است، به pX: wrap کن و indentation حفظ کن
-                        finalCode = lines.map((line, i) => {
-                            const trimmedLine = line.trim();
-                            if (i === 0) {
-                                return `p${patternCounter}: ${trimmedLine}`;
-                            }
-                            const indentMatch = line.match(/^\s*/);
-                            const indent = indentMatch && indentMatch[0].length > 0 ? indentMatch[0] : '  ';
-                            return indent + trimmedLine;
-                        }).join('\n');
-                        patternCounter++;
-                    } else {
-                        // اگر labeled است، indentation حفظ کن
-                        finalCode = lines.map(line => {
-                            const trimmedLine = line.trim();
-                            if (trimmedLine.match(/^\s*p\d+:/i)) {
-                                return trimmedLine;
-                            }
-                            const indentMatch = line.match(/^\s*/);
-                            const indent = indentMatch && indentMatch[0].length > 0 ? indentMatch[0] : '  ';
-                            return indent + trimmedLine;
-                        }).join('\n');
-                        // به‌روزرسانی patternCounter
-                        const labels = lines
-                            .filter(line => line.match(/^\s*p\d+:/i))
-                            .map(line => parseInt(line.match(/p(\d+):/i)[1]));
-                        if (labels.length > 0) {
-                            patternCounter = Math.max(patternCounter, ...labels) + 1;
-                        }
-                    }
-                    // حذف trailing commas فقط در انتهای blockهای کامل
-                    finalCode = finalCode.replace(/,\s*$/gm, (match, offset, string) => {
-                        // فقط اگر خط بعدی وجود نداره یا خط بعدی شروع block جدیده (مثل pX: یا خالی)
-                        const nextLineIndex = string.indexOf('\n', offset + match.length);
-                        const nextLine = nextLineIndex !== -1 ? string.slice(nextLineIndex + 1).split('\n')[0] : '';
-                        if (!nextLine || nextLine.match(/^\s*p\d+:/i) || !nextLine.trim()) {
-                            return '';
-                        }
-                        return match;
-                    });
-                    patterns.push({ code: finalCode, source: `preset_${key}` });
-                }
+            if (this.mixedPatterns.presets[key] && this.presets[key]) {
+                sources.push({ id: `preset_${key}`, name: `Preset ${key.toUpperCase()}`, code: this.presets[key] });
             }
         });
-
-        // === 3️⃣ Handle saved patterns ===
         Object.keys(this.mixedPatterns.saved).forEach(name => {
-            if (this.mixedPatterns.saved[name]) {
-                const pattern = this.savedPatterns.get(name);
-                if (pattern && pattern.code) {
-                    let cleanCode = pattern.code
-                        .replace(/setCps\s*\([^)]*\)\s*;?/gi, '') // حذف setCps
-                        .replace(/;+\s*$/gm, '') // حذف semicolonها
-                        .trim();
-                    // Extract globals
-                    const globalMatch = cleanCode.match(/^(setDefaultVoicings\s*\([^)]*\))\s*[\n;]*/);
-                    if (globalMatch) {
-                        globals.add(globalMatch[1].trim());
-                        cleanCode = cleanCode.replace(globalMatch[0], '').trim();
-                    }
-                    // Split lines and preserve indentation
-                    const lines = cleanCode.split('\n').filter(line => line.trim());
-                    let finalCode = lines.join('\n');
-                    if (lines.length > 0) {
-                        const isLabeled = lines.some(line => /^\s*p\d+:/i.test(line));
-                        if (!isLabeled) {
-                            // اگر غیر-labeled است، به pX: wrap کن و indentation حفظ کن
-                            finalCode = lines.map((line, i) => {
-                                const trimmedLine = line.trim();
-                                if (i === 0) {
-                                    return `p${patternCounter}: ${trimmedLine}`;
-                                }
-                                const indentMatch = line.match(/^\s*/);
-                                const indent = indentMatch && indentMatch[0].length > 0 ? indentMatch[0] : '  ';
-                                return indent + trimmedLine;
-                            }).join('\n');
-                            patternCounter++;
-                        } else {
-                            // اگر labeled است، indentation حفظ کن
-                            finalCode = lines.map(line => {
-                                const trimmedLine = line.trim();
-                                if (trimmedLine.match(/^\s*p\d+:/i)) {
-                                    return trimmedLine;
-                                }
-                                const indentMatch = line.match(/^\s*/);
-                                const indent = indentMatch && indentMatch[0].length > 0 ? indentMatch[0] : '  ';
-                                return indent + trimmedLine;
-                            }).join('\n');
-                            // به‌روزرسانی patternCounter
-                            const labels = lines
-                                .filter(line => line.match(/^\s*p\d+:/i))
-                                .map(line => parseInt(line.match(/p(\d+):/i)[1]));
-                            if (labels.length > 0) {
-                                patternCounter = Math.max(patternCounter, ...labels) + 1;
-                            }
-                        }
-                        // حذف trailing commas فقط در انتهای blockهای کامل
-                        finalCode = finalCode.replace(/,\s*$/gm, (match, offset, string) => {
-                            const nextLineIndex = string.indexOf('\n', offset + match.length);
-                            const nextLine = nextLineIndex !== -1 ? string.slice(nextLineIndex + 1).split('\n')[0] : '';
-                            if (!nextLine || nextLine.match(/^\s*p\d+:/i) || !nextLine.trim()) {
-                                return '';
-                            }
-                            return match;
-                        });
-                        patterns.push({ code: finalCode, source: `saved_${name}` });
-                    }
-                }
+            const pattern = this.savedPatterns.get(name);
+            if (this.mixedPatterns.saved[name] && pattern && pattern.code) {
+                sources.push({ id: `saved_${name}`, name: `Saved "${name}"`, code: pattern.code });
             }
         });
-
-        // === 4️⃣ Smart Combine ===
-        let newCode = '';
-        if (patterns.length === 0) {
-            newCode = '';
-        } else if (patterns.length === 1) {
-            newCode = patterns[0].code;
-        } else {
-            // همه پترن‌ها به pX: تبدیل شدن، با \n\n join می‌شن
-            const globalSection = globals.size > 0 ? Array.from(globals).join('\n') + '\n\n' : '';
-            newCode = globalSection + patterns.map(p => p.code).join('\n\n');
-        }
-
-        // === 5️⃣ Add BPM globally ===
-        if (this.synthParams.bpmEnabled && patterns.length > 0) {
-            newCode = `setCps(${this.synthParams.bpm}/60/4)\n${newCode}`;
+        let mix;
+        try {
+            mix = this.patternCombiner.combine(sources, {
+                tempo: this.synthParams.bpmEnabled ? `setCps(${this.synthParams.bpm}/60/4)` : null,
+                strip: (key, keys) => this.buildMixStrip(key, keys)
+            });
+        } catch (error) {
+            console.error('Mix failed:', error);
+            this.showNotification(`Mix failed: ${error.message}`, 'error');
+            return;
         }
+        this.showMixReport(mix.conflicts);
+        this.mixLayers = mix.layers;
+        this.renderMixStrips();
+        const newCode = mix.code;
+        const patterns = mix.layers;
 
-        // === 6️⃣ Debug log (remove in production) ===
-        console.log('Patterns:', patterns.map(p => ({
-            code: p.code.split('\n').map(line => line.substring(0, 50) + (line.length > 50 ? '...' : '')).join('\n'),
-            source: p.source
-        })));
-        console.log('Final Code:', newCode);
-
-        // === 7️⃣ Update & Play ===
-        const codeEditor = document.getElementById('code-editor');
-        if (codeEditor) codeEditor.value = newCode;
+        this.setCode(newCode);
 
         if (newCode && this.isPlaying) {
             try {
@@ -1123,19 +2334,100 @@ stack(
             this.stop();
             this.showNotification('No active patterns to play', 'error');
         } else {
-            this.showNotification(`${patterns.length} patterns mixed successfully!`, 'success');
+            const conflicts = mix.conflicts.length ? ` (${mix.conflicts.length} conflict${mix.conflicts.length === 1 ? '' : 's'} resolved)` : '';
+            this.showNotification(`${patterns.length} patterns mixed successfully!${conflicts}`, 'success');
         }
     }
 
+    get mixStripDefaults() {
+        return { gain: 1, pan: 0.5, lpf: 20000, muted: false, solo: false };
+    }
+
+    getMixStrip(key) {
+        return { ...this.mixStripDefaults, ...(this.mixedPatterns.layers || {})[key] };
+    }
+
+    buildMixStrip(key, keys) {
+        // postgain leaves the layer's own gain pattern intact
+        const strip = this.getMixStrip(key);
+        const soloing = keys.some(k => this.getMixStrip(k).solo);
+        let chain = '';
+        if (strip.gain !== 1) chain += `.postgain(${strip.gain})`;
+        if (strip.pan !== 0.5) chain += `.pan(${strip.pan})`;
+        if (strip.lpf < 20000) chain += `.lpf(${strip.lpf})`;
+        return { chain, muted: strip.muted || (soloing && !strip.solo) };
+    }
+
+    changeMixStrip(key, changes) {
+        if (!this.mixedPatterns.layers) this.mixedPatterns.layers = {};
+        this.mixedPatterns.layers[key] = { ...this.getMixStrip(key), ...changes };
+        this.updateMixedCode();
+        this.saveToLocalStorage();
+    }
+
+    renderMixStrips() {
+        const container = document.getElementById('mix-strips');
+        if (!container) return;
+        const layers = this.mixLayers;
+        const controls = {
+            gain: { label: 'Gain', min: 0, max: 1.5, step: 0.05, format: v => v },
+            pan: { label: 'Pan', min: 0, max: 1, step: 0.05, format: v => v === 0.5 ? 'C' : v < 0.5 ? `L${Math.round((0.5 - v) * 200)}` : `R${Math.round((v - 0.5) * 200)}` },
+            lpf: { label: 'Filter', min: 100, max: 20000, step: 50, format: v => v === 20000 ? 'Open' : `${v} Hz` }
+        };
+        container.innerHTML = layers.map((layer, i) => {
+            const strip = this.getMixStrip(layer.key);
+            const name = this.escapeHTML(`${layer.label.replace(/^_/, '')} · ${layer.source}`);
+            return `
+            <div class="mix-strip${layer.label.startsWith('_') ? ' silent' : ''}">
+                <span class="mix-strip-name" title="${name}">${name}</span>
+                ${Object.entries(controls).map(([param, { label, min, max, step, format }]) => `
+                <div class="slider-container">
+                    <label for="mixstrip-${i}-${param}">${label}</label>
+                    <input type="range" id="mixstrip-${i}-${param}" data-param="${param}" min="${min}" max="${max}" step="${step}" value="${strip[param]}" aria-label="${label} for ${name}">
+                    <div class="slider-value" id="mixstrip-${i}-${param}-value">${format(strip[param])}</div>
+                </div>`).join('')}
+                <button class="cyber-btn${strip.muted ? ' active' : ''}" id="mixstrip-${i}-mute" aria-pressed="${strip.muted}" aria-label="Mute ${name}"><i class="las la-volume-mute"></i> Mute</button>
+                <button class="cyber-btn${strip.solo ? ' active' : ''}" id="mixstrip-${i}-solo" aria-pressed="${strip.solo}" aria-label="Solo ${name}"><i class="las la-headphones"></i> Solo</button>
+            </div>`;
+        }).join('');
+        layers.forEach((layer, i) => {
+            Object.entries(controls).forEach(([param, { format }]) => {
+                const input = document.getElementById(`mixstrip-${i}-${param}`);
+                if (!input) return;
+                input.addEventListener('input', (e) => {
+                    const valueEl = document.getElementById(`mixstrip-${i}-${param}-value`);
+                    if (valueEl) valueEl.textContent = format(parseFloat(e.target.value));
+                });
+                input.addEventListener('change', (e) => {
+                    this.saveToHistory();
+                    this.changeMixStrip(layer.key, { [param]: parseFloat(e.target.value) });
+                });
+            });
+            ['muted', 'solo'].forEach(flag => {
+                const btn = document.getElementById(`mixstrip-${i}-${flag === 'muted' ? 'mute' : 'solo'}`);
+                if (btn) btn.addEventListener('click', () => {
+                    this.saveToHistory();
+                    this.changeMixStrip(layer.key, { [flag]: !this.getMixStrip(layer.key)[flag] });
+                });
+            });
+        });
+    }
+
+    showMixReport(conflicts) {
+        const report = document.getElementById('mix-report');
+        if (!report) return;
+        report.hidden = conflicts.length === 0;
+        report.innerHTML = conflicts.length
+            ? `<strong><i class="las la-exclamation-triangle"></i> Mix conflicts:</strong><ul>${conflicts.map(conflict => `<li>${this.escapeHTML(conflict)}</li>`).join('')}</ul>`
+            : '';
+    }
+
     mixTrack(track) {
         if (this.trackStates[track].muted || (Object.values(this.trackStates).some(state => state.solo) && !this.trackStates[track].solo)) {
             this.showNotification(`${track.toUpperCase()} is muted or not soloed`, 'error');
             return;
         }
-        const stepCount = this.trackStates[track].steps;
-        const sound = this.trackStates[track].sound;
-        const steps = this.sequencerState[track].slice(0, stepCount).map(active => active ? 'x' : '~').join(' ');
-        if (!steps.includes('x')) {
+        if (!this.buildTrackCode(track)) {
             this.showNotification(`No active steps in ${track.toUpperCase()}`, 'error');
             return;
         }
@@ -1169,61 +2461,167 @@ stack(
         this.showNotification(`Preset ${key.toUpperCase()} ${this.mixedPatterns.presets[key] ? 'mixed' : 'removed'}`, 'success');
     }
 
-    parsePresetToSequencer(presetCode) {
-        this.getTracks().forEach(track => {
-            const regex = new RegExp(`s\\(['"]([^'"]*${track}[^'"]*)['"]\\)`, 'g');
-            const match = presetCode.match(regex);
-            if (match) {
-                const pattern = match[0].match(/['"]([^'"]*)['"]/)[1];
-                const steps = pattern.split(/[, ]+/).filter(s => s.includes(track));
-                if (steps.length > 0) {
-                    const stepCount = this.trackStates[track].steps;
-                    this.sequencerState[track] = Array(stepCount).fill(false);
-                    const structMatch = presetCode.match(/\.struct\(['"]([^'"]*)['"]\)/);
-                    if (structMatch) {
-                        const struct = structMatch[1].split(' ').slice(0, stepCount);
-                        struct.forEach((s, i) => {
-                            if (s === 'x') this.sequencerState[track][i] = true;
-                        });
-                    } else {
-                        steps[0].split(/[*()]+/).forEach((s, i) => {
-                            if (i < stepCount && s.includes(track)) {
-                                this.sequencerState[track][i] = true;
-                            }
-                        });
-                    }
-                    this.updateSequencerUI(track);
-                }
+    syncCodeToSequencer(code, { quiet = false } = {}) {
+        const { tracks, polymeter, issues } = this.codeParser.parseCode(code);
+        if (tracks.length === 0) {
+            this.showSyncReport(issues);
+            if (!quiet) this.showNotification('Nothing in the code maps onto the sequencer', 'error');
+            return false;
+        }
+        this.saveToHistory();
+        this.closeStepInspector();
+        this.euclidPreview = null;
+        const kitKey = this.resolveCodeKit(tracks, issues);
+        if (kitKey) this.sequencerSettings.kit = kitKey;
+        this.sequencerSettings.polymeter = !!polymeter;
+        if (polymeter) this.sequencerSettings.stepsPerCycle = Math.min(this.maxSteps, Math.max(1, polymeter));
+        const claimed = new Set();
+        tracks.forEach(parsed => {
+            const sound = this.resolveCodeSound(parsed);
+            let track = this.getTracks().find(key => !claimed.has(key) && this.trackStates[key].sound === sound);
+            if (!track) {
+                track = this.createTrackKey();
+                this.sequencerState[track] = [];
+                this.trackStates[track] = this.createTrackState({ sound });
+                Object.values(this.songState.slots).forEach(slot => {
+                    slot.sequencerState[track] = Array(8).fill(false);
+                    slot.trackStates[track] = this.createTrackState({ sound });
+                });
             }
+            claimed.add(track);
+            const state = this.trackStates[track];
+            const params = Object.fromEntries(Object.entries(this.trackParams).map(([param, { min, max, default: value }]) => [
+                param, parsed.params[param] === undefined ? value : Math.min(max, Math.max(min, parsed.params[param]))
+            ]));
+            Object.assign(state, {
+                sound,
+                steps: parsed.steps,
+                params,
+                euclid: parsed.euclid ? { ...parsed.euclid, compact: true } : null
+            });
+            const cells = Array(parsed.steps).fill(false);
+            parsed.hits.forEach(hit => {
+                const condition = this.stepConditions.includes(hit.condition.replace(/^!/, '')) ? hit.condition : '';
+                if (hit.condition && !condition) issues.push(`${this.getTrackName(track)}: condition ${hit.condition} dropped`);
+                const note = parsed.melodic ? this.normalizeNoteName(hit.note) : null;
+                if (parsed.melodic && !note) issues.push(`${this.getTrackName(track)}: note "${hit.note}" is not a note name`);
+                cells[hit.index] = this.createStep({
+                    velocity: Math.min(1, Math.max(0, Math.round(hit.velocity * 20) / 20)),
+                    probability: Math.min(100, Math.max(0, hit.probability)),
+                    condition,
+                    ratchet: Math.min(4, hit.ratchet),
+                    note
+                });
+            });
+            if (parsed.melodic) this.fitLaneToNotes(track, cells);
+            this.sequencerState[track] = cells;
         });
+        this.getTracks().filter(track => !claimed.has(track)).forEach(track => {
+            this.sequencerState[track] = Array(this.trackStates[track].steps).fill(false);
+        });
+        this.showSyncReport(issues);
+        this.updateSequencerSettingsUI();
+        this.recreateSequencer();
+        this.saveToLocalStorage();
+        if (!quiet) {
+            const skipped = issues.length ? ` (${issues.length} part${issues.length === 1 ? '' : 's'} not represented)` : '';
+            this.showNotification(`Synced ${claimed.size} track${claimed.size === 1 ? '' : 's'} from code${skipped}`, 'success');
+        }
+        return true;
     }
 
-    async evaluateCode() {
+    resolveCodeKit(tracks, issues) {
+        const drums = tracks.filter(parsed => !parsed.melodic);
+        if (drums.length === 0) return null;
+        const banks = [...new Set(drums.map(parsed => parsed.bank || ''))];
+        if (banks.length > 1) issues.push(`Several banks in one program — the whole sequencer uses ${banks[0] || 'dirt samples'}`);
+        const kitKey = Object.keys(this.drumKits).find(key => this.drumKits[key].bank === banks[0]);
+        if (!kitKey) issues.push(`bank("${banks[0]}") has no matching kit — add one in the kit editor`);
+        return kitKey || 'dirt';
+    }
+
+    resolveCodeSound(parsed) {
+        if (parsed.melodic) return parsed.sound || 'sawtooth';
+        const kit = this.drumKits[this.sequencerSettings.kit] || this.drumKits.dirt;
+        const reverse = Object.entries({ ...kit.sounds, ...kit.map }).find(([, sample]) => sample === parsed.sound);
+        return reverse && reverse[0] in this.soundOptions ? reverse[0] : parsed.sound;
+    }
+
+    normalizeNoteName(note) {
+        if (note === null || note === undefined) return null;
+        if (/^\d+$/.test(note)) {
+            const midi = parseInt(note);
+            return `${this.noteNames[midi % 12]}${Math.floor(midi / 12) - 1}`;
+        }
+        const match = String(note).toLowerCase().match(/^([a-g])(#|b|s)?(-?\d)?$/);
+        if (!match) return null;
+        const enharmonic = { db: 'c#', 'd#': 'eb', gb: 'f#', 'g#': 'ab', 'a#': 'bb', cb: 'b', 'e#': 'f', fb: 'e', 'b#': 'c' };
+        const name = `${match[1]}${match[2] === 's' ? '#' : match[2] || ''}`;
+        return `${enharmonic[name] || name}${match[3] ?? 3}`;
+    }
+
+    fitLaneToNotes(track, cells) {
+        // Widen the lane to a chromatic range when the code plays notes outside the scale
+        const notes = cells.filter(step => step && step.note).map(step => step.note);
+        const lane = this.getLaneNotes(track);
+        if (notes.every(note => lane.includes(note))) return;
+        const octaves = notes.map(note => parseInt(note.match(/-?\d+$/)[0]));
+        const low = Math.min(6, Math.max(1, Math.min(...octaves)));
+        Object.assign(this.trackStates[track], {
+            root: 'c',
+            scale: 'chromatic',
+            octave: low,
+            octaveRange: Math.min(3, Math.max(...octaves) - low + 1)
+        });
+    }
+
+    showSyncReport(issues) {
+        const report = document.getElementById('sync-report');
+        if (!report) return;
+        report.hidden = issues.length === 0;
+        report.innerHTML = issues.length
+            ? `<strong><i class="las la-exclamation-triangle"></i> Not represented on the grid:</strong><ul>${issues.map(issue => `<li>${this.escapeHTML(issue)}</li>`).join('')}</ul>`
+            : '';
+    }
+
+    async evaluateCode({ quantize = this.evalState.quantize } = {}) {
         if (!this.strudelReady || !this.strudelAPI) {
             this.showNotification('Strudel not initialized. Please wait.', 'error');
             return;
         }
-        const codeEditor = document.getElementById('code-editor');
-        if (!codeEditor) {
-            this.showNotification('Code editor not found', 'error');
-            return;
-        }
-        const code = codeEditor.value.trim();
+        const code = this.getCode().trim();
         if (!code) {
             this.showNotification('No code to evaluate', 'error');
             return;
         }
+        this.cancelPendingEvaluation();
+        const length = { cycle: 1, bar: 4 }[quantize];
+        if (length && this.currentPattern && this.getCyclePosition() !== null) {
+            this.evalState.pending = this.scheduleAtBoundary(length, () => {
+                this.evalState.pending = null;
+                this.runEvaluation(code);
+            });
+            this.startEvalCountdown();
+            return;
+        }
+        // Stopping would reset the cycle clock under a recording take
+        if (quantize === 'now' && this.currentPattern && !this.recordState.active) {
+            this.stop();
+        }
+        await this.runEvaluation(code);
+    }
+
+    async runEvaluation(code) {
         try {
-            if (this.currentPattern) {
-                this.stop();
-            }
             if (this.synthParams.bpmEnabled && this.strudelAPI.setCps) {
                 this.strudelAPI.setCps(this.synthParams.bpm / 60 / 4);
             }
             const { evaluate } = this.strudelAPI;
-            this.currentPattern = await evaluate(code);
+            const live = this.liveSynthCode();
+            this.currentPattern = await evaluate(live ? `${live}\n${code}` : code);
             this.isPlaying = true;
             document.body.classList.add('playing');
+            this.startPlayhead();
             const playBtn = document.getElementById('play-btn');
             if (playBtn) {
                 playBtn.classList.add('active');
@@ -1233,13 +2631,64 @@ stack(
             if (evaluateBtn) evaluateBtn.classList.add('active');
             const audioStatus = document.getElementById('audio-status');
             if (audioStatus) audioStatus.innerHTML = '<i class="las la-volume-up"></i> Playing';
-            this.showNotification('Code playing', 'success');
+            if (!this.recordState.active) this.showNotification('Code playing', 'success');
         } catch (error) {
             console.error('Code evaluation failed:', error);
             this.showNotification(`Error: ${error.message}`, 'error');
         }
     }
 
+    applyTempoChange() {
+        // A mix carries its own setCps line; plain editor code only needs re-evaluating
+        const mixing = ['presets', 'tracks', 'saved'].some(group => Object.values(this.mixedPatterns[group] || {}).some(Boolean));
+        if (mixing) {
+            this.updateMixedCode();
+        } else if (this.isPlaying) {
+            this.evaluateCode();
+        }
+    }
+
+    scheduleAtBoundary(length, callback) {
+        // Fire one scheduler lookahead early so the new pattern's first query starts on the boundary
+        const scheduler = this.strudelRepl.scheduler;
+        const position = this.getCyclePosition();
+        const lead = scheduler.latency ?? 0.1;
+        let target = (Math.floor(position / length) + 1) * length;
+        if ((target - position) / scheduler.cps < lead) target += length;
+        const delay = (target - position) / scheduler.cps - lead;
+        return { target, timer: setTimeout(callback, delay * 1000) };
+    }
+
+    cancelPendingEvaluation() {
+        if (!this.evalState.pending) return;
+        clearTimeout(this.evalState.pending.timer);
+        this.evalState.pending = null;
+    }
+
+    startEvalCountdown() {
+        cancelAnimationFrame(this.evalState.frame);
+        const evaluateBtn = document.getElementById('evaluate-btn');
+        const countdown = document.getElementById('eval-countdown');
+        const tick = () => {
+            const pending = this.evalState.pending;
+            const position = this.getCyclePosition();
+            if (!pending || position === null) {
+                if (evaluateBtn) evaluateBtn.classList.remove('queued');
+                if (countdown) countdown.hidden = true;
+                return;
+            }
+            const beats = Math.max(1, Math.ceil((pending.target - position) * 4));
+            if (evaluateBtn) evaluateBtn.classList.add('queued');
+            if (countdown) {
+                countdown.hidden = false;
+                countdown.textContent = `${beats}`;
+                countdown.setAttribute('aria-label', `Code swaps in ${beats} beat${beats === 1 ? '' : 's'}`);
+            }
+            this.evalState.frame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
     stop() {
         if (!this.strudelReady || !this.strudelAPI) {
             this.showNotification('Strudel not initialized. Cannot stop.', 'error');
@@ -1250,9 +2699,15 @@ stack(
             if (hush) {
                 hush();
             }
+            if (this.recordState.active) this.toggleRecording();
+            this.cancelPendingScene();
+            this.cancelPendingEvaluation();
+            this.cancelDeckTransition();
             this.currentPattern = null;
             this.isPlaying = false;
+            if (this.automationState.recording) this.toggleAutomationRecording();
             document.body.classList.remove('playing');
+            this.stopPlayhead();
             const playBtn = document.getElementById('play-btn');
             if (playBtn) {
                 playBtn.classList.remove('active');
@@ -1267,14 +2722,148 @@ stack(
             console.error('Stop failed:', error);
             this.showNotification('Failed to stop playback', 'error');
         }
-        this.saveToLocalStorage();
+        this.saveToLocalStorage();
+    }
+
+    togglePlayback() {
+        if (this.isPlaying) {
+            this.stop();
+        } else {
+            this.evaluateCode();
+        }
+    }
+
+    getCyclePosition() {
+        const scheduler = this.strudelRepl?.scheduler;
+        if (!this.isPlaying || !scheduler?.started) return null;
+        return scheduler.now();
+    }
+
+    getHeardCycle() {
+        const cycle = this.getCyclePosition();
+        if (cycle === null) return null;
+        // now() runs ahead of the speakers by the scheduler latency
+        const { latency = 0, cps } = this.strudelRepl.scheduler;
+        return cycle - latency * cps;
+    }
+
+    getTrackPosition(track, cycle) {
+        const stepCount = this.trackStates[track].steps;
+        return this.sequencerSettings.polymeter
+            ? cycle * this.sequencerSettings.stepsPerCycle
+            : (cycle - Math.floor(cycle)) * stepCount;
+    }
+
+    getTrackStepAt(track, cycle) {
+        // Round to the nearest step so slightly early taps land on the beat they were aimed at
+        const stepCount = this.trackStates[track].steps;
+        return ((Math.round(this.getTrackPosition(track, cycle)) % stepCount) + stepCount) % stepCount;
+    }
+
+    startPlayhead() {
+        if (this.playheadFrame) return;
+        const tick = () => {
+            this.playheadFrame = requestAnimationFrame(tick);
+            this.updatePlayhead();
+        };
+        this.playheadFrame = requestAnimationFrame(tick);
+    }
+
+    stopPlayhead() {
+        if (this.playheadFrame) cancelAnimationFrame(this.playheadFrame);
+        this.playheadFrame = null;
+        Object.values(this.playheadSteps).forEach(el => el.classList.remove('playhead'));
+        this.playheadSteps = {};
+    }
+
+    updatePlayhead() {
+        const heard = this.getHeardCycle();
+        if (heard === null || heard < 0) return;
+        this.getTracks().forEach(track => {
+            const container = document.getElementById(`${track}-pattern`);
+            if (!container) return;
+            const index = Math.floor(this.getTrackPosition(track, heard)) % this.trackStates[track].steps;
+            const el = container.children[index];
+            const previous = this.playheadSteps[track];
+            if (previous === el) return;
+            if (previous) previous.classList.remove('playhead');
+            if (el) el.classList.add('playhead');
+            this.playheadSteps[track] = el;
+        });
+    }
+
+    setupRecordControls() {
+        const recordBtn = document.getElementById('record-btn');
+        if (recordBtn) recordBtn.addEventListener('click', () => this.toggleRecording());
+        const recordMode = document.getElementById('record-mode');
+        if (recordMode) recordMode.addEventListener('change', (e) => {
+            this.recordState.mode = e.target.value;
+        });
+        document.addEventListener('keydown', (e) => {
+            if (!this.recordState.active || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (this.isTextEntry(e.target)) return;
+            const index = '1234567890'.indexOf(e.key);
+            const track = this.getTracks()[index];
+            if (index === -1 || !track) return;
+            e.preventDefault();
+            this.recordHit(track);
+        });
+    }
+
+    toggleRecording() {
+        if (!this.recordState.active && this.getCyclePosition() === null) {
+            this.showNotification('Start playback before recording', 'error');
+            return;
+        }
+        this.recordState.active = !this.recordState.active;
+        this.recordState.replaced = new Set();
+        if (this.recordState.active) {
+            this.saveToHistory();
+        } else {
+            this.saveToLocalStorage();
+        }
+        document.body.classList.toggle('recording', this.recordState.active);
+        const recordBtn = document.getElementById('record-btn');
+        if (recordBtn) {
+            recordBtn.classList.toggle('active', this.recordState.active);
+            recordBtn.setAttribute('aria-pressed', this.recordState.active);
+        }
+        this.showNotification(this.recordState.active ? `Recording (${this.recordState.mode}) — keys 1-9, 0 or Hit pads` : 'Recording stopped', 'success');
     }
 
-    togglePlayback() {
-        if (this.isPlaying) {
-            this.stop();
-        } else {
-            this.evaluateCode();
+    recordHit(track) {
+        if (!this.recordState.active) return;
+        const cycle = this.getHeardCycle();
+        if (cycle === null) return;
+        this.previewTrackSound(track);
+        const stepCount = this.trackStates[track].steps;
+        if (this.recordState.mode === 'replace' && !this.recordState.replaced.has(track)) {
+            // Replace wipes a track on its first hit of the take, then records over the empty row
+            this.recordState.replaced.add(track);
+            this.sequencerState[track] = Array(stepCount).fill(false);
+        }
+        const index = this.getTrackStepAt(track, cycle);
+        if (!this.sequencerState[track][index]) {
+            this.sequencerState[track][index] = this.createStep();
+        }
+        this.updateSequencerUI(track);
+        if (this.mixedPatterns.tracks[track]) {
+            this.updateMixedCode();
+        }
+    }
+
+    previewTrackSound(track) {
+        const { superdough, getAudioContext } = this.strudelAPI || {};
+        if (!superdough || !getAudioContext) return;
+        const state = this.trackStates[track];
+        const { sound, bank } = this.getTrackSample(track);
+        const value = this.isMelodicTrack(track)
+            ? { s: sound, note: `${state.root}${state.octave}`, gain: 0.8 }
+            : { s: sound, ...(bank ? { bank } : {}), gain: 0.8 };
+        try {
+            superdough(value, getAudioContext().currentTime + 0.01, 0.25);
+        } catch (error) {
+            console.warn('Could not preview sound:', error);
         }
     }
 
@@ -1350,23 +2939,23 @@ stack(
         this.showNotification('Sequencer cleared', 'success');
     }
 
-    generateSequencerCode() {
+    collectTrackPatterns() {
         const patterns = [];
         const isSoloActive = Object.values(this.trackStates).some(state => state.solo);
         this.getTracks().forEach(track => {
             if (this.trackStates[track].muted || (isSoloActive && !this.trackStates[track].solo)) {
                 return;
             }
-            const stepCount = this.trackStates[track].steps;
-            const sound = this.trackStates[track].sound;
-            const steps = this.sequencerState[track].slice(0, stepCount).map(active => active ? 'x' : '~').join(' ');
-            if (steps.includes('x')) {
-                const code = ['sawtooth', 'sine', 'triangle'].includes(sound)
-                    ? `note('c3').sound('${sound}').struct("${steps}").gain(0.8)`
-                    : `s("${sound}*${stepCount}").struct("${steps}").gain(0.8)`;
+            const code = this.buildTrackCode(track);
+            if (code) {
                 patterns.push(code);
             }
         });
+        return patterns;
+    }
+
+    generateSequencerCode() {
+        const patterns = this.collectTrackPatterns();
         if (patterns.length === 0) {
             this.showNotification('No active steps to generate code', 'error');
             return;
@@ -1375,8 +2964,7 @@ stack(
         if (this.synthParams.bpmEnabled) {
             newCode = `setCps(${this.synthParams.bpm}/60/4)\n${newCode}`;
         }
-        const codeEditor = document.getElementById('code-editor');
-        if (codeEditor) codeEditor.value = newCode;
+        this.setCode(newCode);
         this.mixedPatterns = { presets: {}, tracks: {}, saved: {} };
         this.getTracks().forEach(track => {
             this.mixedPatterns.tracks[track] = true;
@@ -1408,23 +2996,528 @@ stack(
         this.showNotification('Sequencer code generated', 'success');
     }
 
-    applySynthToCode() {
-        const codeEditor = document.getElementById('code-editor');
-        if (!codeEditor) {
-            this.showNotification('Code editor not found', 'error');
+    snapshotPatternSlot() {
+        return JSON.parse(JSON.stringify({ sequencerState: this.sequencerState, trackStates: this.trackStates }));
+    }
+
+    setupSongControls() {
+        const arrangementInput = document.getElementById('song-arrangement');
+        if (arrangementInput) arrangementInput.addEventListener('change', (e) => {
+            if (!this.parseArrangement(e.target.value)) {
+                e.target.value = this.songState.arrangement;
+                this.showNotification('Arrangement must look like "A x4, B x2, C"', 'error');
+                return;
+            }
+            this.saveToHistory();
+            this.songState.arrangement = e.target.value.trim();
+            this.saveToLocalStorage();
+        });
+        const songGenerate = document.getElementById('song-generate');
+        if (songGenerate) songGenerate.addEventListener('click', () => this.generateSongCode());
+        this.updateSongUI();
+    }
+
+    updateSongUI() {
+        const container = document.getElementById('pattern-slots');
+        if (container) {
+            container.innerHTML = this.songSlots.map(slot => {
+                const active = slot === this.songState.current;
+                const filled = !active && !!this.songState.slots[slot];
+                return `<button class="cyber-btn slot-btn${active ? ' active' : ''}${filled ? ' filled' : ''}" data-slot="${slot}" aria-pressed="${active}" aria-label="Edit pattern ${slot}">${slot}</button>`;
+            }).join('');
+            container.querySelectorAll('.slot-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.selectPatternSlot(btn.dataset.slot));
+            });
+        }
+        const arrangementInput = document.getElementById('song-arrangement');
+        if (arrangementInput) arrangementInput.value = this.songState.arrangement;
+    }
+
+    selectPatternSlot(slot) {
+        if (slot === this.songState.current) return;
+        this.saveToHistory();
+        this.closeStepInspector();
+        const previous = this.songState.current;
+        this.songState.slots[previous] = this.snapshotPatternSlot();
+        const target = this.songState.slots[slot];
+        if (target) {
+            this.sequencerState = this.normalizeSequencerState(target.sequencerState);
+            this.trackStates = this.normalizeTrackStates(target.trackStates);
+        }
+        // The live grid always belongs to the current slot, so it is never stored twice
+        delete this.songState.slots[slot];
+        this.songState.current = slot;
+        this.recreateSequencer();
+        if (Object.values(this.mixedPatterns.tracks).some(v => v)) {
+            this.updateMixedCode();
+        }
+        this.updateSongUI();
+        this.saveToLocalStorage();
+        this.showNotification(target ? `Editing pattern ${slot}` : `Pattern ${slot} created from ${previous}`, 'success');
+    }
+
+    parseArrangement(text) {
+        const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) return null;
+        const sections = [];
+        for (const part of parts) {
+            const match = part.match(/^([a-z])\s*(?:[x×*]\s*(\d+))?$/i);
+            if (!match || !this.songSlots.includes(match[1].toUpperCase())) return null;
+            const repeats = match[2] ? parseInt(match[2]) : 1;
+            if (repeats < 1) return null;
+            sections.push({ slot: match[1].toUpperCase(), repeats });
+        }
+        return sections;
+    }
+
+    buildSlotCode(slot) {
+        if (slot === this.songState.current) {
+            const patterns = this.collectTrackPatterns();
+            return patterns.length ? `stack(${patterns.join(', ')})` : 'silence';
+        }
+        // Build against the stored slot by swapping it in for the duration of the call
+        const live = { sequencerState: this.sequencerState, trackStates: this.trackStates };
+        this.sequencerState = this.normalizeSequencerState(this.songState.slots[slot].sequencerState);
+        this.trackStates = this.normalizeTrackStates(this.songState.slots[slot].trackStates);
+        try {
+            const patterns = this.collectTrackPatterns();
+            return patterns.length ? `stack(${patterns.join(', ')})` : 'silence';
+        } finally {
+            this.sequencerState = live.sequencerState;
+            this.trackStates = live.trackStates;
+        }
+    }
+
+    generateSongCode() {
+        const sections = this.parseArrangement(this.songState.arrangement);
+        if (!sections) {
+            this.showNotification('Arrangement must look like "A x4, B x2, C"', 'error');
             return;
         }
-        let code = codeEditor.value.trim();
-        if (!code) {
-            this.showNotification('No code to apply synth parameters', 'error');
+        const missing = sections.find(({ slot }) => slot !== this.songState.current && !this.songState.slots[slot]);
+        if (missing) {
+            this.showNotification(`Pattern ${missing.slot} is empty`, 'error');
             return;
         }
-        code = code.replace(/\.lpf\(\d+\)/g, '').replace(/\.lpq\(\d+\.?(\d+)?\)/g, '').replace(/\.room\(\d+\.?(\d+)?\)/g, '').replace(/\.delay\(\d+\.?(\d+)?\)/g, '');
-        code += `.lpf(${this.synthParams.lpf}).lpq(${this.synthParams.lpq}).room(${this.synthParams.room}).delay(${this.synthParams.delay})`;
-        codeEditor.value = code;
+        const slotCode = {};
+        sections.forEach(({ slot }) => {
+            if (!(slot in slotCode)) slotCode[slot] = this.buildSlotCode(slot);
+        });
+        let newCode = `arrange(\n${sections.map(({ slot, repeats }) => `  [${repeats}, ${slotCode[slot]}]`).join(',\n')}\n)`;
+        if (this.synthParams.bpmEnabled) {
+            newCode = `setCps(${this.synthParams.bpm}/60/4)\n${newCode}`;
+        }
+        this.saveToHistory();
+        this.setCode(newCode);
         this.evaluateCode();
+        this.saveToLocalStorage();
+        this.showNotification(`Song generated (${sections.reduce((sum, { repeats }) => sum + repeats, 0)} cycles)`, 'success');
+    }
+
+    updateSynthControlUI({ id, param, unit = '', off }) {
+        const input = document.getElementById(id);
+        if (!input) return;
+        const value = this.synthParams[param];
+        input.value = value;
+        const valueEl = document.getElementById(`${id}-value`);
+        const mod = this.synthParams.mods?.[param];
+        const source = this.synthParams.automation?.lanes[param] ? 'auto' : mod?.source;
+        if (valueEl) valueEl.textContent = `${value === off ? 'off' : `${value}${unit}`}${source ? ` ~ ${source}` : ''}`;
+        if (input.type === 'range') input.setAttribute('aria-valuenow', value);
+    }
+
+    updateSynthUI() {
+        [...this.synthControls, { id: 'bpm', param: 'bpm' }].forEach(control => this.updateSynthControlUI(control));
+        this.updateModUI();
+        this.renderAutomation();
+        const bpmEnable = document.getElementById('bpm-enable');
+        if (bpmEnable) bpmEnable.checked = this.synthParams.bpmEnabled !== false;
+        const synthLive = document.getElementById('synth-live');
+        if (synthLive) synthLive.checked = !!this.synthParams.live;
+    }
+
+    getLiveSynthParams() {
+        const { mods, automation: { lanes } } = this.synthParams;
+        const params = this.synthControls.filter(({ param, off }) => this.synthParams[param] !== off || mods[param] || lanes[param]).map(({ param }) => param);
+        // Tempo lanes play through the cps control, which the scheduler follows on every event
+        return lanes.bpm && this.synthParams.bpmEnabled ? [...params, 'cps'] : params;
+    }
+
+    liveSynthCode() {
+        // Prepended rather than appended: a trailing all() would become the program's last expression
+        this.liveSynthParams = this.synthParams.live ? this.getLiveSynthParams() : [];
+        if (!this.synthParams.live) return '';
+        const chain = this.liveSynthParams.map(param => `.${param}(signal(t => cyberSynth.${param}(t)))`).join('');
+        return `all(x => x${chain})`;
+    }
+
+    getModRange(param) {
+        // Depth pulls the sweep from the slider value out towards the ends of the range
+        const { depth, min, max } = this.synthParams.mods[param];
+        const base = Math.min(max, Math.max(min, this.synthParams[param]));
+        return [base - (base - min) * depth, base + (max - base) * depth].map(value => Math.round(value * 1000) / 1000);
+    }
+
+    lfoValue(source, time) {
+        // Same shapes as Strudel's signals, so live playback matches the baked code
+        const toRand = x => {
+            const seed = Math.trunc((x / 300 - Math.trunc(x / 300)) * 536870912);
+            const a = (seed << 13) ^ seed;
+            const b = (a >> 17) ^ a;
+            return Math.abs((((b << 5) ^ b) % 536870912) / 536870912);
+        };
+        const phase = time - Math.floor(time);
+        switch (source) {
+            case 'tri': return phase < 0.5 ? phase * 2 : 2 - phase * 2;
+            case 'saw': return phase;
+            case 'square': return phase < 0.5 ? 0 : 1;
+            case 'rand': return toRand(time);
+            case 'perlin': {
+                const a = toRand(Math.floor(time));
+                const b = toRand(Math.floor(time) + 1);
+                const smooth = 6 * phase ** 5 - 15 * phase ** 4 + 10 * phase ** 3;
+                return a + smooth * (b - a);
+            }
+            default: return (Math.sin(2 * Math.PI * time) + 1) / 2;
+        }
+    }
+
+    getSynthValue(param, time = 0) {
+        if (param === 'cps') return this.getSynthValue('bpm', time) / 60 / 4;
+        const { resolution, lanes } = this.synthParams.automation;
+        const lane = lanes[param];
+        if (lane) return lane[((Math.floor(time * resolution) % lane.length) + lane.length) % lane.length];
+        const mod = this.synthParams.mods[param];
+        if (!mod) return this.synthParams[param];
+        const [low, high] = this.getModRange(param);
+        return low + (high - low) * this.lfoValue(mod.source, time / mod.rate);
+    }
+
+    getSynthArgument(param) {
+        const lanes = this.synthParams.automation.lanes;
+        const laneParam = param === 'cps' ? 'bpm' : param;
+        if (lanes[laneParam]) {
+            const values = lanes[laneParam].map(value => param === 'cps' ? Math.round(value / 60 / 4 * 10000) / 10000 : value);
+            return JSON.stringify(this.formatAutomationLane(values));
+        }
+        const mod = this.synthParams.mods[param];
+        if (!mod) return JSON.stringify(this.synthParams[param]);
+        const [low, high] = this.getModRange(param);
+        return `${mod.source}.range(${low}, ${high})${mod.rate === 1 ? '' : `.slow(${mod.rate})`}`;
+    }
+
+    setupModControls() {
+        const paramSelect = document.getElementById('mod-param');
+        if (!paramSelect) return;
+        paramSelect.innerHTML = this.synthControls
+            .filter(({ off }) => typeof off !== 'string')
+            .map(({ param }) => `<option value="${param}">${param}</option>`)
+            .join('');
+        paramSelect.addEventListener('change', () => this.updateModUI());
+        const sourceSelect = document.getElementById('mod-source');
+        if (sourceSelect) {
+            sourceSelect.innerHTML = ['none', ...this.lfoSources].map(source => `<option value="${source}">${source}</option>`).join('');
+        }
+        ['mod-source', 'mod-rate', 'mod-depth', 'mod-min', 'mod-max'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.changeMod());
+        });
+        const depth = document.getElementById('mod-depth');
+        if (depth) depth.addEventListener('input', (e) => {
+            const valueEl = document.getElementById('mod-depth-value');
+            if (valueEl) valueEl.textContent = `${Math.round(e.target.value * 100)}%`;
+        });
+        this.updateModUI();
+    }
+
+    updateModUI() {
+        const paramSelect = document.getElementById('mod-param');
+        if (!paramSelect) return;
+        const control = this.synthControls.find(c => c.param === paramSelect.value);
+        if (!control) return;
+        const slider = document.getElementById(control.id);
+        const mod = this.synthParams.mods[control.param] || {
+            source: 'none',
+            rate: 4,
+            depth: 1,
+            min: parseFloat(slider?.min ?? 0),
+            max: parseFloat(slider?.max ?? 1)
+        };
+        const fields = { 'mod-source': mod.source, 'mod-rate': mod.rate, 'mod-depth': mod.depth, 'mod-min': mod.min, 'mod-max': mod.max };
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+        const valueEl = document.getElementById('mod-depth-value');
+        if (valueEl) valueEl.textContent = `${Math.round(mod.depth * 100)}%`;
+        const list = document.getElementById('mod-list');
+        if (list) {
+            const mods = Object.entries(this.synthParams.mods);
+            list.textContent = mods.length
+                ? mods.map(([param, m]) => `${param}: ${m.source} / ${m.rate} cycles`).join(' · ')
+                : 'No modulation assigned';
+        }
+    }
+
+    changeMod() {
+        const param = document.getElementById('mod-param')?.value;
+        const control = this.synthControls.find(c => c.param === param);
+        if (!control) return;
+        const read = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const source = document.getElementById('mod-source')?.value || 'none';
+        // Keep the sweep inside what the control itself accepts, lowest first
+        const range = this.getControlRange(param);
+        const clamp = value => Math.min(range.max, Math.max(range.min, value));
+        const bounds = [clamp(read('mod-min', range.min)), clamp(read('mod-max', range.max))].sort((a, b) => a - b);
+        this.saveToHistory();
+        if (source === 'none') {
+            delete this.synthParams.mods[param];
+        } else {
+            this.synthParams.mods[param] = {
+                source,
+                rate: Math.max(0.25, read('mod-rate', 4)),
+                depth: Math.min(1, Math.max(0, read('mod-depth', 1))),
+                min: bounds[0],
+                max: bounds[1]
+            };
+        }
+        this.updateSynthControlUI(control);
+        this.updateModUI();
+        if (this.synthParams.live && this.isPlaying && this.getLiveSynthParams().join() !== this.liveSynthParams.join()) {
+            this.evaluateCode();
+        }
+        this.saveToLocalStorage();
+        this.showNotification(source === 'none' ? `Modulation removed from ${param}` : `${param} modulated by ${source}`, 'success');
+    }
+
+    formatAutomationLane(values) {
+        // One <...> step per cycle, subdivided with [...] where the cycle holds more than one value
+        const { resolution } = this.synthParams.automation;
+        const cycles = [];
+        for (let i = 0; i < values.length; i += resolution) {
+            const cycle = values.slice(i, i + resolution);
+            cycles.push(cycle.every(value => value === cycle[0]) ? `${cycle[0]}` : `[${cycle.join(' ')}]`);
+        }
+        return cycles.length === 1 ? cycles[0] : `<${cycles.join(' ')}>`;
+    }
+
+    getControlRange(param) {
+        const id = param === 'bpm' ? 'bpm' : this.synthControls.find(c => c.param === param)?.id;
+        const slider = id && document.getElementById(id);
+        const lane = this.synthParams.automation.lanes[param] || [0, 1];
+        return {
+            min: slider ? parseFloat(slider.min) : Math.min(...lane),
+            max: slider ? parseFloat(slider.max) : Math.max(...lane),
+            step: slider ? parseFloat(slider.step) || 0 : 0
+        };
+    }
+
+    setupAutomationControls() {
+        const recordBtn = document.getElementById('automation-record');
+        if (recordBtn) recordBtn.addEventListener('click', () => this.toggleAutomationRecording());
+        const addSelect = document.getElementById('automation-add');
+        if (addSelect) {
+            addSelect.innerHTML = `<option value="">Add lane…</option>${this.automationParams.map(param => `<option value="${param}">${param}</option>`).join('')}`;
+            addSelect.addEventListener('change', (e) => {
+                if (e.target.value) this.addAutomationLane(e.target.value);
+                e.target.value = '';
+            });
+        }
+        ['automation-length', 'automation-resolution'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.resizeAutomation());
+        });
+        const lanes = document.getElementById('automation-lanes');
+        if (lanes) {
+            lanes.addEventListener('pointerdown', (e) => {
+                const lane = e.target.closest('.automation-lane');
+                if (!lane || e.button !== 0) return;
+                e.preventDefault();
+                this.saveToHistory();
+                this.automationState.draw = { param: lane.dataset.param, last: null };
+                this.drawLane(e);
+            });
+            lanes.addEventListener('click', (e) => {
+                const clearBtn = e.target.closest('.automation-clear');
+                if (clearBtn) this.removeAutomationLane(clearBtn.dataset.param);
+            });
+        }
+        this.renderAutomation();
+    }
+
+    renderAutomation() {
+        const { length, resolution, lanes } = this.synthParams.automation;
+        const lengthSelect = document.getElementById('automation-length');
+        if (lengthSelect) lengthSelect.value = length;
+        const resolutionSelect = document.getElementById('automation-resolution');
+        if (resolutionSelect) resolutionSelect.value = resolution;
+        const container = document.getElementById('automation-lanes');
+        if (!container) return;
+        container.innerHTML = Object.keys(lanes).map(param => `
+            <div class="automation-row">
+                <span class="automation-name">${param}</span>
+                <div class="automation-lane" id="automation-lane-${param}" data-param="${param}" role="img" aria-label="${param} automation over ${length} cycles">
+                    ${lanes[param].map((_, i) => `<div class="automation-point${i % resolution === 0 ? ' cycle-start' : ''}"></div>`).join('')}
+                </div>
+                <button class="cyber-btn automation-clear" data-param="${param}" aria-label="Remove ${param} automation"><i class="las la-times"></i></button>
+            </div>`).join('');
+        Object.keys(lanes).forEach(param => this.updateAutomationLane(param));
+    }
+
+    updateAutomationLane(param) {
+        const laneEl = document.getElementById(`automation-lane-${param}`);
+        const lane = this.synthParams.automation.lanes[param];
+        if (!laneEl || !lane) return;
+        const { min, max } = this.getControlRange(param);
+        [...laneEl.children].forEach((point, i) => {
+            point.style.height = `${Math.max(2, Math.min(100, ((lane[i] - min) / (max - min || 1)) * 100))}%`;
+            point.title = `Cycle ${Math.floor(i / this.synthParams.automation.resolution) + 1}: ${lane[i]}`;
+        });
+    }
+
+    addAutomationLane(param) {
+        const { length, resolution, lanes } = this.synthParams.automation;
+        if (lanes[param]) return;
+        this.saveToHistory();
+        lanes[param] = Array(length * resolution).fill(this.synthParams[param]);
+        this.afterAutomationChange();
+        this.showNotification(`Automation lane added for ${param}`, 'success');
+    }
+
+    removeAutomationLane(param) {
+        if (!this.synthParams.automation.lanes[param]) return;
+        this.saveToHistory();
+        delete this.synthParams.automation.lanes[param];
+        this.afterAutomationChange();
+        this.showNotification(`Automation removed from ${param}`, 'success');
+    }
+
+    afterAutomationChange() {
+        this.updateSynthUI();
+        if (this.synthParams.live && this.isPlaying && this.getLiveSynthParams().join() !== this.liveSynthParams.join()) {
+            this.evaluateCode();
+        }
+        this.saveToLocalStorage();
+    }
+
+    resizeAutomation() {
+        const automation = this.synthParams.automation;
+        const length = parseInt(document.getElementById('automation-length')?.value, 10) || automation.length;
+        const resolution = parseInt(document.getElementById('automation-resolution')?.value, 10) || automation.resolution;
+        this.saveToHistory();
+        // Resample by time so a shorter loop keeps its start and a longer one repeats
+        Object.keys(automation.lanes).forEach(param => {
+            const lane = automation.lanes[param];
+            automation.lanes[param] = Array.from({ length: length * resolution }, (_, i) => lane[Math.floor(i / resolution * automation.resolution) % lane.length]);
+        });
+        automation.length = length;
+        automation.resolution = resolution;
+        this.renderAutomation();
+        this.saveToLocalStorage();
+    }
+
+    drawLane(e) {
+        const draw = this.automationState.draw;
+        if (!draw) return;
+        const laneEl = document.getElementById(`automation-lane-${draw.param}`);
+        const lane = this.synthParams.automation.lanes[draw.param];
+        if (!laneEl || !lane) return;
+        const rect = laneEl.getBoundingClientRect();
+        const index = Math.max(0, Math.min(lane.length - 1, Math.floor((e.clientX - rect.left) / rect.width * lane.length)));
+        const { min, max, step } = this.getControlRange(draw.param);
+        const level = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+        let value = min + level * (max - min);
+        if (step) value = Math.round(value / step) * step;
+        value = Math.round(value * 1000) / 1000;
+        // Fill the points a fast drag skipped over
+        const from = draw.last ?? index;
+        for (let i = Math.min(from, index); i <= Math.max(from, index); i++) lane[i] = value;
+        draw.last = index;
+        this.updateAutomationLane(draw.param);
+    }
+
+    endLaneDraw() {
+        if (!this.automationState.draw) return;
+        this.automationState.draw = null;
+        this.saveToLocalStorage();
+    }
+
+    toggleAutomationRecording() {
+        const state = this.automationState;
+        if (!state.recording && this.getCyclePosition() === null) {
+            this.showNotification('Start playback before recording automation', 'error');
+            return;
+        }
+        state.recording = !state.recording;
+        state.last = {};
+        if (state.recording) {
+            this.saveToHistory();
+            // Lanes only play back through the live synth chain
+            if (!this.synthParams.live) {
+                this.synthParams.live = true;
+                this.updateSynthUI();
+                this.evaluateCode();
+            }
+        } else {
+            this.afterAutomationChange();
+        }
+        const recordBtn = document.getElementById('automation-record');
+        if (recordBtn) {
+            recordBtn.classList.toggle('active', state.recording);
+            recordBtn.setAttribute('aria-pressed', state.recording);
+        }
+        this.showNotification(state.recording ? 'Recording automation — move BPM, LPF, LPQ, room or delay' : 'Automation recording stopped', 'success');
+    }
+
+    recordAutomation(param, value) {
+        const state = this.automationState;
+        if (!state.recording || !this.automationParams.includes(param)) return;
+        // Stamp the movement at the cycle being heard, not the one being scheduled
+        const cycle = this.getHeardCycle();
+        if (cycle === null) return;
+        const { length, resolution, lanes } = this.synthParams.automation;
+        const size = length * resolution;
+        const index = ((Math.floor(cycle * resolution) % size) + size) % size;
+        const created = !lanes[param];
+        if (created) lanes[param] = Array(size).fill(value);
+        const last = state.last[param];
+        // Carry the value across points the slider passed between two input events
+        const gap = last === undefined ? 0 : (index - last + size) % size;
+        for (let i = gap <= resolution ? gap : 0; i >= 0; i--) lanes[param][(index - i + size) % size] = value;
+        state.last[param] = index;
+        if (created) this.renderAutomation();
+        else this.updateAutomationLane(param);
+    }
+
+    bakeSynthToCode() {
+        const code = this.getCode().trim();
+        if (!code) {
+            this.showNotification('No code to bake synth parameters into', 'error');
+            return;
+        }
+        let baked;
+        try {
+            // Controls left at off drop their call, so the code ends up matching the panel
+            const calls = Object.fromEntries(this.synthControls.map(({ param }) => [param, null]));
+            this.getLiveSynthParams().forEach(param => {
+                calls[param] = this.getSynthArgument(param);
+            });
+            baked = this.patternCombiner.applyChainCalls(code, calls);
+        } catch (error) {
+            this.showNotification(`Could not bake synth parameters: ${error.message}`, 'error');
+            return;
+        }
         this.saveToHistory();
-        this.showNotification('Synth parameters applied', 'success');
+        this.setCode(baked.code);
+        // The code now carries the values, so the live override would only mask later edits
+        this.synthParams.live = false;
+        this.updateSynthUI();
+        if (this.isPlaying) this.evaluateCode();
+        this.saveToLocalStorage();
+        this.showNotification(`Synth parameters baked into ${baked.layers} layer${baked.layers === 1 ? '' : 's'}`, 'success');
     }
 
     combineMix() {
@@ -1476,8 +3569,7 @@ stack(
             this.showNotification(`Preset ${key.toUpperCase()} not found`, 'error');
             return;
         }
-        const codeEditor = document.getElementById('code-editor');
-        if (codeEditor) codeEditor.value = presetCode;
+        this.setCode(presetCode);
         this.mixedPatterns = { presets: { [key]: true }, tracks: {}, saved: {} };
         Object.keys(this.presets).forEach(k => {
             const chk = document.getElementById(`mix-${k}`);
@@ -1498,7 +3590,7 @@ stack(
         });
         this.mixedPatterns.saved = {};
         this.updatePatternBankUI();
-        this.parsePresetToSequencer(presetCode);
+        this.syncCodeToSequencer(presetCode, { quiet: true });
         this.evaluateCode();
         this.saveToHistory();
         this.showNotification(`Preset ${key.toUpperCase()} loaded`, 'success');
@@ -1515,21 +3607,21 @@ stack(
             this.showNotification('Pattern name is required', 'error');
             return;
         }
-        const codeEditor = document.getElementById('code-editor');
-        if (!codeEditor) {
-            this.showNotification('Code editor not found', 'error');
-            return;
-        }
-        const code = codeEditor.value.trim();
+        const code = this.getCode().trim();
         if (!code) {
             this.showNotification('No code to save', 'error');
             return;
         }
+        const kit = this.customKits[this.sequencerSettings.kit];
         this.savedPatterns.set(name, {
             code,
             sequencerState: JSON.parse(JSON.stringify(this.sequencerState)),
             trackStates: JSON.parse(JSON.stringify(this.trackStates)),
-            synthParams: JSON.parse(JSON.stringify(this.synthParams))
+            synthParams: JSON.parse(JSON.stringify(this.synthParams)),
+            sequencerSettings: JSON.parse(JSON.stringify(this.sequencerSettings)),
+            // Carry the custom kit along so the pattern still sounds right after export and import
+            customKits: JSON.parse(JSON.stringify(kit ? { [this.sequencerSettings.kit]: kit } : {})),
+            songState: JSON.parse(JSON.stringify(this.songState))
         });
         this.updatePatternBankUI();
         this.saveToLocalStorage();
@@ -1585,6 +3677,169 @@ stack(
             };
             btn.addEventListener('click', btn._deleteHandler);
         });
+        this.updateDeckUI();
+    }
+
+    getDeckSource(value) {
+        const [type, ...rest] = (value || '').split(':');
+        const key = rest.join(':');
+        if (type === 'preset' && this.presets[key]) return { name: `Preset ${key.toUpperCase()}`, code: this.presets[key] };
+        const saved = type === 'saved' ? this.savedPatterns.get(key) : null;
+        return saved?.code ? { name: `Saved "${key}"`, code: saved.code } : null;
+    }
+
+    getDeckLevel(deck) {
+        // Equal-power blend; in filter mode the far deck only drops out at the very end
+        const distance = deck === 'a' ? this.deckState.position : 1 - this.deckState.position;
+        if (this.deckState.mode === 'filter') return distance >= 1 ? 0 : 1;
+        return Math.cos(distance * Math.PI / 2);
+    }
+
+    getDeckCutoff(deck) {
+        const distance = deck === 'a' ? this.deckState.position : 1 - this.deckState.position;
+        if (distance <= 0.5) return 20000;
+        return Math.round(20000 * Math.pow(100 / 20000, (distance - 0.5) / 0.5));
+    }
+
+    isDeckPlaying() {
+        return this.isPlaying && this.getCode().includes('cyberDeck.');
+    }
+
+    updateDeckUI() {
+        const options = [
+            '<option value="">— Empty —</option>',
+            ...Object.keys(this.presets).map(key => `<option value="preset:${this.escapeHTML(key)}">Preset ${this.escapeHTML(key.toUpperCase())}</option>`),
+            ...[...this.savedPatterns.keys()].map(name => `<option value="saved:${this.escapeHTML(name)}">Saved: ${this.escapeHTML(name)}</option>`)
+        ].join('');
+        ['a', 'b'].forEach(deck => {
+            const select = document.getElementById(`deck-${deck}-source`);
+            if (!select) return;
+            select.innerHTML = options;
+            select.value = this.getDeckSource(this.deckState[deck]) ? this.deckState[deck] : '';
+        });
+        const mode = document.getElementById('deck-mode');
+        if (mode) mode.value = this.deckState.mode;
+        const cycles = document.getElementById('deck-cycles');
+        if (cycles) cycles.value = this.deckState.cycles;
+        this.setDeckPosition(this.deckState.position);
+    }
+
+    setupDeckControls() {
+        ['a', 'b'].forEach(deck => {
+            const select = document.getElementById(`deck-${deck}-source`);
+            if (select) select.addEventListener('change', (e) => {
+                this.deckState[deck] = e.target.value;
+                this.saveToLocalStorage();
+                if (this.isDeckPlaying()) this.playDecks();
+            });
+        });
+        const fader = document.getElementById('deck-fader');
+        if (fader) fader.addEventListener('input', (e) => {
+            this.cancelDeckTransition();
+            this.setDeckPosition(parseFloat(e.target.value));
+        });
+        if (fader) fader.addEventListener('change', () => this.saveToLocalStorage());
+        const mode = document.getElementById('deck-mode');
+        if (mode) mode.addEventListener('change', (e) => {
+            this.deckState.mode = e.target.value;
+            this.saveToLocalStorage();
+            // Filter mode adds .lpf() to the deck layers, so the program has to change
+            if (this.isDeckPlaying()) this.playDecks();
+        });
+        const cycles = document.getElementById('deck-cycles');
+        if (cycles) cycles.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value);
+            this.deckState.cycles = isNaN(value) ? this.deckState.cycles : Math.min(64, Math.max(1, value));
+            e.target.value = this.deckState.cycles;
+            this.saveToLocalStorage();
+        });
+        const playBtn = document.getElementById('deck-play');
+        if (playBtn) playBtn.addEventListener('click', () => this.playDecks());
+        const transitionBtn = document.getElementById('deck-transition');
+        if (transitionBtn) transitionBtn.addEventListener('click', () => this.startDeckTransition());
+    }
+
+    buildDeckCode() {
+        const sources = ['a', 'b']
+            .map(deck => ({ deck, source: this.getDeckSource(this.deckState[deck]) }))
+            .filter(({ source }) => source)
+            .map(({ deck, source }) => ({ id: `deck_${deck}`, name: `Deck ${deck.toUpperCase()} (${source.name})`, code: source.code }));
+        return this.patternCombiner.combine(sources, {
+            tempo: this.synthParams.bpmEnabled ? `setCps(${this.synthParams.bpm}/60/4)` : null,
+            strip: key => {
+                const deck = key.startsWith('deck_a') ? 'a' : 'b';
+                const filter = this.deckState.mode === 'filter' ? `.lpf(ref(() => cyberDeck.${deck}.cutoff()))` : '';
+                return { chain: `.postgain(ref(() => cyberDeck.${deck}.level()))${filter}` };
+            }
+        });
+    }
+
+    playDecks() {
+        let mix;
+        try {
+            mix = this.buildDeckCode();
+        } catch (error) {
+            console.error('Deck build failed:', error);
+            this.showNotification(`Deck failed: ${error.message}`, 'error');
+            return;
+        }
+        if (!mix.code) {
+            this.showNotification('Load a preset or saved pattern into deck A or B', 'error');
+            return;
+        }
+        this.saveToHistory();
+        this.showMixReport(mix.conflicts);
+        this.setCode(mix.code);
+        this.evaluateCode();
+        this.saveToLocalStorage();
+        this.showNotification('Decks playing', 'success');
+    }
+
+    setDeckPosition(position) {
+        this.deckState.position = Math.min(1, Math.max(0, position));
+        const fader = document.getElementById('deck-fader');
+        if (fader) {
+            fader.value = this.deckState.position;
+            fader.setAttribute('aria-valuenow', this.deckState.position);
+        }
+        const transitionBtn = document.getElementById('deck-transition');
+        if (transitionBtn && !this.deckState.transition) {
+            transitionBtn.innerHTML = `<i class="las la-exchange-alt"></i> Fade to ${this.deckState.position < 0.5 ? 'B' : 'A'}`;
+        }
+    }
+
+    startDeckTransition() {
+        const start = this.getCyclePosition();
+        if (start === null || !this.isDeckPlaying()) {
+            this.showNotification('Play the decks before fading', 'error');
+            return;
+        }
+        this.cancelDeckTransition();
+        const from = this.deckState.position;
+        const to = from < 0.5 ? 1 : 0;
+        const cycles = this.deckState.cycles;
+        const tick = () => {
+            const now = this.getCyclePosition();
+            if (now === null) {
+                this.deckState.transition = null;
+                return;
+            }
+            const progress = Math.min(1, (now - start) / cycles);
+            this.deckState.transition = progress < 1 ? requestAnimationFrame(tick) : null;
+            this.setDeckPosition(from + (to - from) * progress);
+            if (progress >= 1) {
+                this.saveToLocalStorage();
+                this.showNotification(`Faded to deck ${to ? 'B' : 'A'}`, 'success');
+            }
+        };
+        tick();
+        this.showNotification(`Fading to deck ${to ? 'B' : 'A'} over ${cycles} cycle${cycles === 1 ? '' : 's'}`, 'success');
+    }
+
+    cancelDeckTransition() {
+        if (!this.deckState.transition) return;
+        cancelAnimationFrame(this.deckState.transition);
+        this.deckState.transition = null;
     }
 
     mixSavedPattern(name) {
@@ -1619,11 +3874,15 @@ stack(
             this.showNotification(`Pattern "${name}" not found`, 'error');
             return;
         }
-        this.sequencerState = JSON.parse(JSON.stringify(pattern.sequencerState));
-        this.trackStates = JSON.parse(JSON.stringify(pattern.trackStates));
-        this.synthParams = JSON.parse(JSON.stringify(pattern.synthParams));
-        const codeEditor = document.getElementById('code-editor');
-        if (codeEditor) codeEditor.value = pattern.code;
+        this.closeStepInspector();
+        this.sequencerState = this.normalizeSequencerState(JSON.parse(JSON.stringify(pattern.sequencerState)));
+        this.trackStates = this.normalizeTrackStates(JSON.parse(JSON.stringify(pattern.trackStates)));
+        this.synthParams = this.normalizeSynthParams(pattern.synthParams);
+        this.sequencerSettings = { ...this.sequencerSettings, ...JSON.parse(JSON.stringify(pattern.sequencerSettings || {})) };
+        this.customKits = { ...this.customKits, ...JSON.parse(JSON.stringify(pattern.customKits || {})) };
+        this.checkKitAvailable(`Pattern "${name}"`);
+        this.songState = JSON.parse(JSON.stringify(pattern.songState || { current: 'A', slots: {}, arrangement: 'A x4' }));
+        this.setCode(pattern.code);
         this.mixedPatterns = { presets: {}, tracks: {}, saved: { [name]: true } };
         Object.keys(this.presets).forEach(key => {
             const chk = document.getElementById(`mix-${key}`);
@@ -1649,17 +3908,12 @@ stack(
                 mixBtn.setAttribute('aria-pressed', n === name);
             }
         });
-        const originalTracks = ['bd', 'sd', 'hh', 'cp'];
-        const hasExtra = Object.keys(this.sequencerState).some(k => !originalTracks.includes(k));
-        if (hasExtra) {
+        if (!this.tracksMatchDOM()) {
             this.recreateSequencer();
         } else {
             this.getTracks().forEach(track => {
-                const stepsEl = document.getElementById(`${track}-steps`);
-                if (stepsEl) stepsEl.value = this.trackStates[track].steps;
-                const soundEl = document.getElementById(`${track}-sound`);
-                if (soundEl) soundEl.value = this.trackStates[track].sound;
-                this.updateSequencerUI(track);
+                this.syncTrackControls(track);
+                this.updateSequencerTrack(track);
                 const muteBtn = document.getElementById(`mute-${track}`);
                 if (muteBtn) {
                     muteBtn.classList.toggle('active', this.trackStates[track].muted);
@@ -1677,38 +3931,9 @@ stack(
                 }
             });
         }
-        const lpfFreq = document.getElementById('lpf-freq');
-        if (lpfFreq) {
-            lpfFreq.value = this.synthParams.lpf;
-            document.getElementById('lpf-freq-value').textContent = `${this.synthParams.lpf} Hz`;
-            lpfFreq.setAttribute('aria-valuenow', this.synthParams.lpf);
-        }
-        const lpq = document.getElementById('lpq');
-        if (lpq) {
-            lpq.value = this.synthParams.lpq;
-            document.getElementById('lpq-value').textContent = this.synthParams.lpq;
-            lpq.setAttribute('aria-valuenow', this.synthParams.lpq);
-        }
-        const room = document.getElementById('room');
-        if (room) {
-            room.value = this.synthParams.room;
-            document.getElementById('room-value').textContent = this.synthParams.room;
-            room.setAttribute('aria-valuenow', this.synthParams.room);
-        }
-        const delay = document.getElementById('delay');
-        if (delay) {
-            delay.value = this.synthParams.delay;
-            document.getElementById('delay-value').textContent = this.synthParams.delay;
-            delay.setAttribute('aria-valuenow', this.synthParams.delay);
-        }
-        const bpm = document.getElementById('bpm');
-        if (bpm) {
-            bpm.value = this.synthParams.bpm;
-            document.getElementById('bpm-value').textContent = this.synthParams.bpm;
-            bpm.setAttribute('aria-valuenow', this.synthParams.bpm);
-        }
-        const bpmEnable = document.getElementById('bpm-enable');
-        if (bpmEnable) bpmEnable.checked = this.synthParams.bpmEnabled;
+        this.updateSynthUI();
+        this.updateSequencerSettingsUI();
+        this.updateSongUI();
         this.updatePatternBankUI();
         this.evaluateCode();
         this.saveToHistory();
@@ -1736,6 +3961,109 @@ stack(
         this.showNotification(`Pattern "${name}" deleted`, 'success');
     }
 
+    setupSceneControls() {
+        const captureBtn = document.getElementById('scene-capture');
+        if (captureBtn) captureBtn.addEventListener('click', () => this.captureScene());
+        const quantize = document.getElementById('scene-quantize');
+        if (quantize) quantize.addEventListener('change', (e) => {
+            this.sceneState.quantize = e.target.value;
+        });
+        document.addEventListener('keydown', (e) => {
+            // Shift+1…9 launches a scene; plain digits stay with step recording
+            if (!e.shiftKey || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (this.isTextEntry(e.target)) return;
+            const match = /^Digit([1-9])$/.exec(e.code || '');
+            if (!match || !this.scenes[match[1] - 1]) return;
+            e.preventDefault();
+            this.launchScene(match[1] - 1);
+        });
+    }
+
+    captureScene() {
+        const nameInput = document.getElementById('scene-name');
+        const name = nameInput?.value.trim() || `Scene ${this.scenes.length + 1}`;
+        const existing = this.scenes.findIndex(scene => scene.name === name);
+        const scene = { name, state: this.snapshotState() };
+        if (existing === -1) {
+            this.scenes.push(scene);
+        } else {
+            this.scenes[existing] = scene;
+        }
+        if (nameInput) nameInput.value = '';
+        this.renderScenes();
+        this.saveToLocalStorage();
+        this.showNotification(`Scene "${name}" ${existing === -1 ? 'captured' : 'updated'}`, 'success');
+    }
+
+    deleteScene(index) {
+        const scene = this.scenes[index];
+        if (!scene) return;
+        this.cancelPendingScene();
+        this.scenes.splice(index, 1);
+        this.sceneState.active = null;
+        this.renderScenes();
+        this.saveToLocalStorage();
+        this.showNotification(`Scene "${scene.name}" deleted`, 'success');
+    }
+
+    launchScene(index) {
+        const scene = this.scenes[index];
+        if (!scene) return;
+        this.cancelPendingScene();
+        if (this.sceneState.quantize === 'now' || this.getCyclePosition() === null) {
+            this.applyScene(index);
+            return;
+        }
+        this.sceneState.pending = { index, ...this.scheduleAtBoundary(this.sceneState.quantize === 'bar' ? 4 : 1, () => {
+            this.sceneState.pending = null;
+            this.applyScene(index);
+        }) };
+        this.renderScenes();
+        this.showNotification(`Scene "${scene.name}" queued for the next ${this.sceneState.quantize}`, 'success');
+    }
+
+    cancelPendingScene() {
+        if (!this.sceneState.pending) return;
+        clearTimeout(this.sceneState.pending.timer);
+        this.sceneState.pending = null;
+        this.renderScenes();
+    }
+
+    applyScene(index) {
+        const scene = this.scenes[index];
+        if (!scene) return;
+        this.saveToHistory();
+        // Kits made after the scene was stored stay available
+        this.restoreState({ ...scene.state, customKits: { ...this.customKits, ...scene.state.customKits } });
+        this.sceneState.active = index;
+        this.renderScenes();
+        if (this.isPlaying) {
+            // The launch itself was already quantized, so swap without another wait or a hush
+            this.evaluateCode({ quantize: 'swap' });
+        }
+        this.showNotification(`Scene "${scene.name}" launched`, 'success');
+    }
+
+    renderScenes() {
+        const list = document.getElementById('scene-list');
+        if (!list) return;
+        list.innerHTML = this.scenes.map((scene, i) => {
+            const name = this.escapeHTML(scene.name);
+            const classes = [i === this.sceneState.active ? 'active' : '', i === this.sceneState.pending?.index ? 'pending' : ''].filter(Boolean).join(' ');
+            return `
+            <div class="scene-item">
+                <button class="cyber-btn scene-btn ${classes}" id="scene-${i}" aria-label="Launch scene ${name}${i < 9 ? ` (Shift+${i + 1})` : ''}">${i < 9 ? `<span class="scene-key">${i + 1}</span>` : ''}${name}</button>
+                <button class="cyber-btn" id="scene-delete-${i}" aria-label="Delete scene ${name}"><i class="las la-trash"></i></button>
+            </div>`;
+        }).join('');
+        this.scenes.forEach((_, i) => {
+            const btn = document.getElementById(`scene-${i}`);
+            if (btn) btn.addEventListener('click', () => this.launchScene(i));
+            const deleteBtn = document.getElementById(`scene-delete-${i}`);
+            if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteScene(i));
+        });
+    }
+
     exportPatterns() {
         // Convert Map to array for JSON serialization
         const arr = Array.from(this.savedPatterns.entries());
@@ -1761,8 +4089,10 @@ stack(
             try {
                 const data = JSON.parse(e.target.result);
                 this.savedPatterns = new Map(data);
+                this.savedPatterns.forEach(pattern => Object.assign(this.customKits, pattern.customKits));
                 this.mixedPatterns.saved = {};
                 this.updatePatternBankUI();
+                this.updateSequencerSettingsUI();
                 this.updateMixedCode();
                 this.saveToHistory();
                 this.saveToLocalStorage();
@@ -1775,12 +4105,7 @@ stack(
     }
 
     saveCode() {
-        const codeEditor = document.getElementById('code-editor');
-        if (!codeEditor) {
-            this.showNotification('Code editor not found', 'error');
-            return;
-        }
-        const code = codeEditor.value.trim();
+        const code = this.getCode().trim();
         if (!code) {
             this.showNotification('No code to save', 'error');
             return;
@@ -1808,8 +4133,7 @@ stack(
             const reader = new FileReader();
             reader.onload = (ev) => {
                 this.saveToHistory();
-                const codeEditor = document.getElementById('code-editor');
-                if (codeEditor) codeEditor.value = ev.target.result;
+                this.setCode(ev.target.result);
                 this.mixedPatterns = { presets: {}, tracks: {}, saved: {} };
                 this.getTracks().forEach(track => {
                     const mixBtn = document.getElementById(`mix-${track}`);
@@ -1852,7 +4176,14 @@ stack(
             mixedPatterns: this.mixedPatterns,
             savedPatterns: [...this.savedPatterns], // Convert Map to array for storage
             synthParams: this.synthParams,
-            code: document.getElementById('code-editor')?.value || ''
+            sequencerSettings: this.sequencerSettings,
+            songState: this.songState,
+            customKits: this.customKits,
+            gridZoom: this.gridZoom,
+            scenes: this.scenes,
+            deckState: { ...this.deckState, transition: null },
+            evalQuantize: this.evalState.quantize,
+            code: this.getCode()
         };
         try {
             localStorage.setItem('cybersynth_state', JSON.stringify(state));
@@ -1869,27 +4200,33 @@ stack(
             if (saved) {
                 const parsed = JSON.parse(saved);
                 // Validate and set sequencerState
-                this.sequencerState = parsed.sequencerState || this.sequencerState;
+                this.sequencerState = this.normalizeSequencerState(parsed.sequencerState || this.sequencerState);
                 // Validate and set trackStates
-                this.trackStates = parsed.trackStates || this.trackStates;
+                this.trackStates = this.normalizeTrackStates(parsed.trackStates || this.trackStates);
                 // Ensure mixedPatterns has all required properties
                 this.mixedPatterns = parsed.mixedPatterns || { presets: {}, tracks: {}, saved: {} };
                 // Ensure savedPatterns is a Map
                 this.savedPatterns = new Map(parsed.savedPatterns || []);
                 // Validate synthParams
-                this.synthParams = parsed.synthParams || this.synthParams;
+                this.synthParams = this.normalizeSynthParams(parsed.synthParams);
+                this.sequencerSettings = { ...this.sequencerSettings, ...parsed.sequencerSettings };
+                this.gridZoom = parsed.gridZoom || this.gridZoom;
+                this.customKits = parsed.customKits || {};
+                this.scenes = parsed.scenes || [];
+                this.deckState = { ...this.deckState, ...parsed.deckState };
+                this.evalState.quantize = parsed.evalQuantize || this.evalState.quantize;
+                const evalQuantize = document.getElementById('eval-quantize');
+                if (evalQuantize) evalQuantize.value = this.evalState.quantize;
+                this.renderScenes();
+                this.songState = { ...this.songState, ...parsed.songState };
                 // Update code editor
-                const codeEditor = document.getElementById('code-editor');
-                if (codeEditor && parsed.code) {
-                    codeEditor.value = parsed.code;
+                if (parsed.code) {
+                    this.setCode(parsed.code);
                 }
                 // Update UI for tracks
+                this.recreateSequencer();
                 this.getTracks().forEach(track => {
-                    const stepsEl = document.getElementById(`${track}-steps`);
-                    if (stepsEl) stepsEl.value = this.trackStates[track]?.steps || 8;
-                    const soundEl = document.getElementById(`${track}-sound`);
-                    if (soundEl) soundEl.value = this.trackStates[track]?.sound || 'bd';
-                    this.updateSequencerUI(track);
+                    this.syncTrackControls(track);
                     const muteBtn = document.getElementById(`mute-${track}`);
                     if (muteBtn) {
                         muteBtn.classList.toggle('active', !!this.trackStates[track]?.muted);
@@ -1924,39 +4261,9 @@ stack(
                         mixBtn.setAttribute('aria-pressed', !!this.mixedPatterns.saved[name]);
                     }
                 });
-                // Update synth controls
-                const lpfFreq = document.getElementById('lpf-freq');
-                if (lpfFreq) {
-                    lpfFreq.value = this.synthParams.lpf || 800;
-                    document.getElementById('lpf-freq-value').textContent = `${this.synthParams.lpf || 800} Hz`;
-                    lpfFreq.setAttribute('aria-valuenow', this.synthParams.lpf || 800);
-                }
-                const lpq = document.getElementById('lpq');
-                if (lpq) {
-                    lpq.value = this.synthParams.lpq || 1;
-                    document.getElementById('lpq-value').textContent = this.synthParams.lpq || 1;
-                    lpq.setAttribute('aria-valuenow', this.synthParams.lpq || 1);
-                }
-                const room = document.getElementById('room');
-                if (room) {
-                    room.value = this.synthParams.room || 0.5;
-                    document.getElementById('room-value').textContent = this.synthParams.room || 0.5;
-                    room.setAttribute('aria-valuenow', this.synthParams.room || 0.5);
-                }
-                const delay = document.getElementById('delay');
-                if (delay) {
-                    delay.value = this.synthParams.delay || 0.3;
-                    document.getElementById('delay-value').textContent = this.synthParams.delay || 0.3;
-                    delay.setAttribute('aria-valuenow', this.synthParams.delay || 0.3);
-                }
-                const bpm = document.getElementById('bpm');
-                if (bpm) {
-                    bpm.value = this.synthParams.bpm || 120;
-                    document.getElementById('bpm-value').textContent = this.synthParams.bpm || 120;
-                    bpm.setAttribute('aria-valuenow', this.synthParams.bpm || 120);
-                }
-                const bpmEnable = document.getElementById('bpm-enable');
-                if (bpmEnable) bpmEnable.checked = this.synthParams.bpmEnabled !== false;
+                this.updateSynthUI();
+                this.updateSequencerSettingsUI();
+                this.updateSongUI();
                 // Ensure Pattern Bank UI is updated
                 this.updatePatternBankUI();
                 this.updateUndoRedoButtons();
@@ -0,0 +1,494 @@
+/**
+ * Reads Strudel code back into step-grid sized pieces for the CyberSynth sequencer.
+ * Walks the program's s()/sound()/note() calls with acorn, parses their mini-notation and
+ * reports every part that cannot be represented on a grid of up to 64 steps.
+ * @class
+ */
+class MiniNotationParser {
+    constructor({ euclid, maxSteps = 64 }) {
+        this.euclid = euclid;
+        this.maxSteps = maxSteps;
+        this.paramMethods = ['n', 'speed', 'pan', 'gain', 'attack', 'decay', 'lpf'];
+        this.timingMethods = ['late', 'early', 'nudge', 'swing', 'swingBy'];
+        this.patternCalls = ['s', 'sound', 'note', 'n'];
+    }
+
+    /**
+     * Parses a whole program. Only real s()/sound()/note() calls are read, so commented-out code
+     * stays out; wrappers other than stack() are reported rather than flattened silently.
+     * @example parseCode('// s("bd sd")') // no tracks
+     * @example parseCode('stack(s("bd*4")).slow(2)') // 2 hits, "/2 stretches over 2 cycles" reported
+     * @example parseCode('arrange([4, stack(s("bd*4"))], [2, s("hh*8")])') // "arrange() ... not represented" reported
+     * @param {string} code - Editor contents.
+     * @returns {{tracks: Object[], polymeter: number|null, issues: string[]}}
+     */
+    parseCode(code) {
+        const tracks = [];
+        const issues = [];
+        let polymeter = null;
+        if (typeof acorn === 'undefined') return { tracks, polymeter, issues: ['JavaScript parser not loaded'] };
+        let program;
+        try {
+            program = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module', allowAwaitOutsideFunction: true, locations: true });
+        } catch (error) {
+            return { tracks, polymeter, issues: [`The code does not parse: ${error.message}`] };
+        }
+        const lineOf = node => `line ${node.loc.start.line}`;
+        const reported = new Set();
+        this.walk(program, (node, ancestors) => {
+            if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' || !this.patternCalls.includes(node.callee.name)) return;
+            const call = node.callee.name;
+            const where = lineOf(node);
+            const { methods, top, depth } = this.readChain(code, node, ancestors, ancestors.length);
+            const context = this.readContext(code, top, ancestors, depth, lineOf, reported, issues);
+            if (!context) return false;
+            if (call === 'n') {
+                issues.push(`${where}: n() patterns are not mapped to the grid — use s() or note()`);
+                return false;
+            }
+            const source = node.arguments.length === 1 ? this.readString(node.arguments[0]) : null;
+            if (source === null) {
+                issues.push(`${where}: ${call}() needs a plain string to be read into the grid`);
+                return false;
+            }
+            try {
+                const result = this.parseLayer(call, source, [...methods, ...context.methods], where, issues);
+                tracks.push(...result.tracks);
+                if (result.polymeter) polymeter = result.polymeter;
+            } catch (error) {
+                issues.push(`${where}: ${error.message}`);
+            }
+            return false;
+        });
+        if (tracks.length === 0 && issues.length === 0) {
+            issues.push('No s(), sound() or note() patterns found');
+        }
+        // Methods chained onto stack() are read once per layer
+        return { tracks, polymeter, issues: [...new Set(issues)] };
+    }
+
+    walk(node, visit, ancestors = []) {
+        if (visit(node, ancestors) === false) return;
+        ancestors.push(node);
+        Object.values(node).forEach(value => {
+            if (Array.isArray(value)) value.forEach(child => child && typeof child.type === 'string' && this.walk(child, visit, ancestors));
+            else if (value && typeof value.type === 'string') this.walk(value, visit, ancestors);
+        });
+        ancestors.pop();
+    }
+
+    readChain(code, node, ancestors, depth) {
+        // Follows node.a(...).b(...) outwards; depth is where the chain's top sits in ancestors
+        const methods = [];
+        let top = node;
+        while (depth >= 2) {
+            const member = ancestors[depth - 1];
+            const outer = ancestors[depth - 2];
+            if (member.type !== 'MemberExpression' || member.object !== top || member.computed ||
+                outer.type !== 'CallExpression' || outer.callee !== member) break;
+            const args = outer.arguments;
+            const raw = args.length ? code.slice(args[0].start, args[args.length - 1].end) : '';
+            methods.push({ name: member.property.name, args, raw, node: member.property });
+            top = outer;
+            depth -= 2;
+        }
+        return { methods, top, depth };
+    }
+
+    readContext(code, top, ancestors, depth, lineOf, reported, issues) {
+        // Methods on an enclosing stack() apply to every layer; any other wrapper is reported once
+        const methods = [];
+        let child = top;
+        for (let i = depth - 1; i >= 0; i--) {
+            const node = ancestors[i];
+            if (node.type === 'CallExpression' && node.arguments.includes(child)) {
+                if (node.callee.type !== 'Identifier') {
+                    const name = node.callee.type === 'MemberExpression' && !node.callee.computed ? `.${node.callee.property.name}()` : 'a call';
+                    issues.push(`${lineOf(child)}: pattern passed to ${name} is not represented on the grid`);
+                    return null;
+                }
+                const wrapper = node.callee.name;
+                const chain = this.readChain(code, node, ancestors, i);
+                if (wrapper === 'stack') {
+                    methods.push(...chain.methods.map(method => ({ ...method, where: lineOf(method.node) })));
+                } else if (!reported.has(node)) {
+                    reported.add(node);
+                    issues.push(`${lineOf(node)}: ${wrapper}() is not represented on the grid — its patterns are loaded as if they all played every cycle`);
+                    chain.methods.forEach(method => issues.push(`${lineOf(method.node)}: .${method.name}() on ${wrapper}() is not represented on the grid`));
+                }
+                child = chain.top;
+                i = chain.depth;
+            } else {
+                child = node;
+            }
+        }
+        return { methods };
+    }
+
+    readString(node) {
+        if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+        if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+        return null;
+    }
+
+    parseLayer(call, source, methods, where, issues) {
+        let root = this.parseMini(source);
+        let structure = null;
+        let velocity = null;
+        let melodicSound = null;
+        let bank = null;
+        const params = {};
+        for (const method of methods) {
+            const { name, args, raw } = method;
+            const at = method.where || where;
+            const text = args.length === 1 ? this.readString(args[0]) : null;
+            const number = /^-?\d*\.?\d+$/.test(raw) ? parseFloat(raw) : null;
+            if (name === 'struct' && text !== null) {
+                structure = this.parseMini(text);
+            } else if (name === 'velocity' && (text !== null || number !== null)) {
+                velocity = text !== null ? this.parseMini(text) : number;
+            } else if (name === 'gain' && text !== null) {
+                velocity = this.parseMini(text);
+            } else if (this.paramMethods.includes(name) && number !== null) {
+                params[name] = number;
+            } else if ((name === 's' || name === 'sound') && call === 'note' && text !== null) {
+                melodicSound = text;
+            } else if (name === 'bank' && text !== null) {
+                bank = text;
+            } else if ((name === 'fast' || name === 'slow') && number !== null && number > 0) {
+                root = { type: name, node: root, factor: number };
+                if (structure) structure = { type: name, node: structure, factor: number };
+                if (velocity && typeof velocity === 'object') velocity = { type: name, node: velocity, factor: number };
+            } else if ((name === 'euclid' || name === 'euclidRot') && /^\d+\s*,\s*\d+(\s*,\s*\d+)?$/.test(raw)) {
+                const [pulses, steps, rotation = 0] = raw.split(',').map(v => parseInt(v));
+                structure = { type: 'euclid', node: { type: 'atom', value: 'x' }, pulses, steps, rotation };
+            } else if (this.timingMethods.includes(name)) {
+                issues.push(`${at}: .${name}() timing shift is not read back; steps sit on the grid`);
+            } else {
+                issues.push(`${at}: .${name}(${raw.length > 24 ? `${raw.slice(0, 24)}…` : raw}) is not represented on the grid`);
+            }
+        }
+        if (call === 'note' && !melodicSound) {
+            issues.push(`${where}: note() without .sound() — using the track's synth`);
+        }
+        const layers = root.type === 'stack' ? root.layers : [root];
+        if (structure && layers.length > 1) {
+            issues.push(`${where}: .struct() over a stacked pattern — using the stack's own rhythm`);
+            structure = null;
+        }
+        const tracks = [];
+        let polymeter = null;
+        layers.forEach(layer => {
+            const rhythmSource = structure || layer;
+            const poly = rhythmSource.type === 'poly' ? rhythmSource : null;
+            if (poly) polymeter = poly.steps;
+            const rhythm = poly ? poly.node : rhythmSource;
+            const events = this.query(rhythm, 0, 1, 0, issues, where);
+            let values = null;
+            if (structure) {
+                values = this.query(poly && layer.type === 'poly' ? layer.node : layer, 0, 1, 0, issues, where).map(e => e.value);
+                if (new Set(values).size > 1) {
+                    issues.push(`${where}: .struct() over several sounds — using the first one`);
+                }
+            }
+            const grid = this.fitGrid(events, this.countSlots(rhythm), where, issues);
+            const groups = new Map();
+            events.forEach((event, i) => {
+                const value = structure ? (values[0] ?? 'x') : event.value;
+                const key = call === 'note' ? (melodicSound || '') : value.split(':')[0];
+                if (!groups.has(key)) groups.set(key, { sound: key, n: null, hits: [] });
+                const group = groups.get(key);
+                if (call !== 'note' && value.includes(':')) {
+                    const variant = parseInt(value.split(':')[1]);
+                    if (group.n !== null && group.n !== variant) {
+                        issues.push(`${where}: ${key} mixes sample variants — using ${key}:${group.n}`);
+                    } else {
+                        group.n = variant;
+                    }
+                }
+                group.hits.push({
+                    index: grid.indices[i],
+                    probability: event.probability,
+                    condition: event.condition,
+                    ratchet: event.ratchet,
+                    note: call === 'note' ? value : null
+                });
+            });
+            const velocityAt = this.velocitySampler(velocity, grid.steps, issues, where);
+            const euclid = !structure && !poly && layer.type === 'euclid' && layer.node.type === 'atom'
+                ? { pulses: layer.pulses, steps: layer.steps, rotation: layer.rotation }
+                : null;
+            groups.forEach(group => {
+                const hits = [];
+                group.hits.forEach(hit => {
+                    if (hits.some(h => h.index === hit.index)) return;
+                    hits.push({ ...hit, velocity: velocityAt(hit.index) });
+                });
+                tracks.push({
+                    sound: group.sound,
+                    melodic: call === 'note',
+                    steps: grid.steps,
+                    hits,
+                    params: { ...params, ...(group.n !== null && params.n === undefined ? { n: group.n } : {}) },
+                    bank,
+                    euclid: euclid && groups.size === 1 && euclid.steps === grid.steps ? euclid : null
+                });
+            });
+        });
+        return { tracks, polymeter };
+    }
+
+    velocitySampler(velocity, steps, issues, where) {
+        if (velocity === null) return () => 1;
+        if (typeof velocity === 'number') return () => velocity;
+        const poly = velocity.type === 'poly' ? velocity.node : velocity;
+        const events = this.query(poly, 0, 1, 0, issues, where, true);
+        return index => {
+            const position = index / steps;
+            const event = events.find(e => e.begin <= position + 1e-9 && e.end > position + 1e-9);
+            const value = event ? parseFloat(event.value) : NaN;
+            return isNaN(value) ? 1 : Math.min(1, Math.max(0.05, value));
+        };
+    }
+
+    fitGrid(events, base, where, issues) {
+        const unit = Math.max(1, Math.round(base));
+        const aligned = steps => events.every(e => Math.abs(e.begin * steps - Math.round(e.begin * steps)) < 1e-6);
+        let steps = null;
+        for (let candidate = unit; candidate <= this.maxSteps; candidate += unit) {
+            if (aligned(candidate)) {
+                steps = candidate;
+                break;
+            }
+        }
+        if (steps === null) {
+            steps = Math.min(unit, this.maxSteps);
+            issues.push(`${where}: some hits fall between steps and were snapped to a ${steps}-step grid`);
+        }
+        return { steps, indices: events.map(e => Math.round(e.begin * steps) % steps) };
+    }
+
+    countSlots(node) {
+        if (node.type === 'seq') return node.items.reduce((sum, item) => sum + item.weight, 0);
+        if (node.type === 'euclid') return node.steps;
+        if (node.type === 'fast') return this.countSlots(node.node) * node.factor;
+        return 1;
+    }
+
+    /**
+     * Parses a mini-notation string into a small syntax tree.
+     * @param {string} text
+     * @returns {Object}
+     */
+    parseMini(text) {
+        this.tokens = this.tokenize(text);
+        this.position = 0;
+        const node = this.parseSequence([]);
+        if (this.position < this.tokens.length) {
+            throw new Error(`unexpected "${this.tokens[this.position]}" in "${text}"`);
+        }
+        return node;
+    }
+
+    tokenize(text) {
+        const tokens = text.match(/[\w#.:-]+|[\[\]<>{}(),~*/!@?_%|]|\S/g) || [];
+        const unsupported = tokens.find(token => token === '|' || token === '.' || /^[^\w#.:~\[\]<>{}(),*/!@?_%-]$/.test(token));
+        if (unsupported) throw new Error(`"${unsupported}" in "${text}" is not supported by the grid`);
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    parseSequence(terminators) {
+        const layers = [];
+        let items = [];
+        while (this.position < this.tokens.length && !terminators.includes(this.peek())) {
+            const token = this.peek();
+            if (token === ',') {
+                this.next();
+                layers.push(this.makeSequence(items));
+                items = [];
+            } else if (token === '_') {
+                this.next();
+                if (items.length) items[items.length - 1].weight += 1;
+            } else if (token === '!' && items.length) {
+                this.next();
+                items.push({ ...items[items.length - 1] });
+            } else {
+                items.push(...this.parseItem());
+            }
+        }
+        layers.push(this.makeSequence(items));
+        return layers.length > 1 ? { type: 'stack', layers } : layers[0];
+    }
+
+    makeSequence(items) {
+        // A one-step group of identical hits inside a longer row reads as a ratchet
+        if (items.length > 1) items = items.map(item => ({ ...item, node: this.asRatchet(item.node) }));
+        if (items.length === 1 && items[0].weight === 1) return items[0].node;
+        return { type: 'seq', items };
+    }
+
+    asRatchet(node) {
+        // Probability applies to the whole ratchet: [x x]?0.25
+        if (node.type === 'degrade') return { ...node, node: this.asRatchet(node.node) };
+        if (node.type === 'fast' && node.node.type === 'atom' && node.node.value !== '~' && [2, 3, 4].includes(node.factor)) {
+            return { type: 'ratchet', node: node.node, count: node.factor };
+        }
+        if (node.type === 'seq' && node.items.length >= 2 && node.items.length <= 4 &&
+            node.items.every(i => i.weight === 1 && i.node.type === 'atom' && i.node.value !== '~' && i.node.value === node.items[0].node.value)) {
+            return { type: 'ratchet', node: node.items[0].node, count: node.items.length };
+        }
+        return node;
+    }
+
+    parseItem() {
+        const token = this.next();
+        let node;
+        if (token === '[') {
+            node = this.parseSequence([']']);
+            this.expect(']');
+        } else if (token === '<') {
+            const inner = this.parseSequence(['>']);
+            this.expect('>');
+            if (inner.type === 'stack') throw new Error('stacked alternations are not supported');
+            node = { type: 'alt', items: inner.type === 'seq' ? inner.items.flatMap(i => Array(i.weight).fill(i.node)) : [inner] };
+        } else if (token === '{') {
+            const inner = this.parseSequence(['}']);
+            this.expect('}');
+            if (this.peek() !== '%') throw new Error('{...} polymeter needs a %steps count');
+            this.next();
+            node = { type: 'poly', node: inner, steps: this.readNumber() };
+        } else if (/^[\w#.:-]+$/.test(token) || token === '~') {
+            node = { type: 'atom', value: token };
+        } else {
+            throw new Error(`unexpected "${token}"`);
+        }
+        let weight = 1;
+        let copies = 1;
+        while (this.position < this.tokens.length) {
+            const op = this.peek();
+            if (op === '*' || op === '/') {
+                this.next();
+                node = { type: op === '*' ? 'fast' : 'slow', node, factor: this.readNumber() };
+            } else if (op === '@') {
+                this.next();
+                weight = this.readNumber();
+            } else if (op === '!' && /^\d+$/.test(this.tokens[this.position + 1] || '')) {
+                this.next();
+                copies = this.readNumber();
+            } else if (op === '?') {
+                this.next();
+                const amount = /^\d*\.?\d+$/.test(this.peek() || '') ? this.readNumber() : 0.5;
+                node = { type: 'degrade', node, amount };
+            } else if (op === '(') {
+                this.next();
+                const args = [this.readNumber()];
+                while (this.peek() === ',') {
+                    this.next();
+                    args.push(this.readNumber());
+                }
+                this.expect(')');
+                node = { type: 'euclid', node, pulses: args[0], steps: args[1], rotation: args[2] || 0 };
+            } else {
+                break;
+            }
+        }
+        return Array.from({ length: copies }, () => ({ node, weight }));
+    }
+
+    readNumber() {
+        const token = this.next();
+        const value = parseFloat(token);
+        if (token === undefined || isNaN(value)) throw new Error(`expected a number but found "${token ?? 'end of pattern'}"`);
+        return value;
+    }
+
+    expect(token) {
+        if (this.next() !== token) throw new Error(`missing "${token}"`);
+    }
+
+    /**
+     * Lists the onsets a node produces in [begin, end) during one cycle.
+     * @returns {Array<{value: string, begin: number, end: number, probability: number, condition: string, ratchet: number}>}
+     */
+    query(node, begin, end, cycle, issues, where, keepRests = false) {
+        const span = end - begin;
+        switch (node.type) {
+            case 'atom':
+                if (node.value === '~' && !keepRests) return [];
+                return [{ value: node.value, begin, end, probability: 100, condition: '', ratchet: 1 }];
+            case 'seq': {
+                const total = node.items.reduce((sum, item) => sum + item.weight, 0);
+                let position = begin;
+                return node.items.flatMap(item => {
+                    const itemEnd = position + span * item.weight / total;
+                    const events = this.query(item.node, position, itemEnd, cycle, issues, where, keepRests);
+                    position = itemEnd;
+                    return events;
+                });
+            }
+            case 'stack':
+                return node.layers.flatMap(layer => this.query(layer, begin, end, cycle, issues, where, keepRests));
+            case 'ratchet':
+                return this.query(node.node, begin, end, cycle, issues, where, keepRests).map(e => ({ ...e, ratchet: node.count }));
+            case 'degrade':
+                return this.query(node.node, begin, end, cycle, issues, where, keepRests)
+                    .map(e => ({ ...e, probability: Math.round((1 - node.amount) * e.probability) }));
+            case 'fast': {
+                const factor = Math.round(node.factor);
+                if (factor !== node.factor) issues.push(`${where}: *${node.factor} rounded to *${factor}`);
+                return Array.from({ length: Math.max(1, factor) }, (_, i) => this.query(
+                    node.node, begin + span * i / factor, begin + span * (i + 1) / factor, cycle * factor + i, issues, where, keepRests
+                )).flat();
+            }
+            case 'slow': {
+                issues.push(`${where}: /${node.factor} stretches over ${node.factor} cycles — only the first cycle is on the grid`);
+                return this.query(node.node, begin, begin + span * node.factor, Math.floor(cycle / node.factor), issues, where, keepRests)
+                    .filter(e => e.begin < end - 1e-9)
+                    .map(e => ({ ...e, end: Math.min(e.end, end) }));
+            }
+            case 'euclid': {
+                const pattern = this.euclid(node.pulses, node.steps, node.rotation);
+                return pattern.flatMap((hit, i) => hit
+                    ? this.query(node.node, begin + span * i / node.steps, begin + span * (i + 1) / node.steps, cycle, issues, where, keepRests)
+                    : []);
+            }
+            case 'alt':
+                return this.queryAlternation(node, begin, end, cycle, issues, where, keepRests);
+            case 'poly':
+                issues.push(`${where}: nested {...}%${node.steps} is flattened into one cycle`);
+                return this.query(node.node, begin, end, cycle, issues, where, keepRests);
+            default:
+                return [];
+        }
+    }
+
+    queryAlternation(node, begin, end, cycle, issues, where, keepRests) {
+        const items = node.items;
+        const rest = item => item.type === 'atom' && item.value === '~';
+        const played = items.filter(item => !rest(item));
+        // Trigger conditions written by the sequencer: <x ~!999>, <~ x ~ ~> and <x ~ x x>,
+        // where x is one step token, probability and ratchet included
+        if (played.length && played.every(item => JSON.stringify(item) === JSON.stringify(played[0]))) {
+            const hits = items.map(item => !rest(item));
+            const count = played.length;
+            let condition = null;
+            if (items.length > 8 && count === 1 && hits[0]) condition = '1st';
+            else if ([2, 3, 4, 8].includes(items.length) && count === 1) condition = `${hits.indexOf(true) + 1}:${items.length}`;
+            else if ([3, 4, 8].includes(items.length) && count === items.length - 1) condition = `!${hits.indexOf(false) + 1}:${items.length}`;
+            if (condition) {
+                return this.query(played[0], begin, end, cycle, issues, where, keepRests).map(e => ({ ...e, condition }));
+            }
+        }
+        issues.push(`${where}: <...> alternation changes every cycle — the grid shows its first cycle`);
+        const chosen = items[cycle % items.length];
+        return this.query(chosen, begin, end, Math.floor(cycle / items.length), issues, where, keepRests);
+    }
+}
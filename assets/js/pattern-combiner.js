@@ -0,0 +1,253 @@
+/**
+ * Merges several Strudel programs into one for the Pattern Mix panel.
+ * Tempo and setup calls are hoisted and deduplicated, clashing top-level declarations
+ * are renamed, and every playing expression becomes its own pN: layer. Each source is
+ * parsed with acorn, so a program that does not parse is left out instead of breaking the mix.
+ * @class
+ */
+class PatternCombiner {
+    constructor() {
+        this.tempoCalls = ['setCps', 'setcps', 'setCpm', 'setcpm'];
+        this.globalCalls = ['setDefaultVoicings', 'setVoicingRange', 'samples', 'soundAlias', 'aliasBank', 'all'];
+        this.exclusiveCalls = ['setDefaultVoicings', 'setVoicingRange'];
+        this.parseOptions = { ecmaVersion: 'latest', sourceType: 'module', allowAwaitOutsideFunction: true };
+    }
+
+    /**
+     * @param {Array<{id: string, name: string, code: string}>} sources - Programs in mix order.
+     * @param {{tempo?: string|null, strip?: Function}} options - Tempo statement that replaces the sources' own,
+     *   and a callback `(key, keys) => ({chain, muted})` that decorates each layer.
+     * @returns {{code: string, layers: Array<{key: string, label: string, source: string}>, conflicts: string[]}}
+     */
+    combine(sources, { tempo = null, strip = null } = {}) {
+        if (typeof acorn === 'undefined') throw new Error('JavaScript parser not loaded');
+        const conflicts = [];
+        const tempos = [];
+        const globals = [];
+        const prelude = [];
+        const layers = [];
+        const declared = new Map();
+        const labels = new Map();
+        sources.forEach(source => {
+            const comments = [];
+            let program;
+            try {
+                program = acorn.parse(source.code, { ...this.parseOptions, onComment: comments });
+            } catch (error) {
+                conflicts.push(`${source.name}: ${error.message} — left out of the mix`);
+                return;
+            }
+            const renames = this.renameDeclarations(program, source, declared, conflicts);
+            const statements = program.body;
+            const labelled = statements.some(statement => statement.type === 'LabeledStatement');
+            let ordinal = 0;
+            const playing = labelled ? null : [...statements].reverse().find(statement => this.classify(statement) === 'pattern');
+            statements.forEach((statement, i) => {
+                const previousEnd = i > 0 ? statements[i - 1].end : 0;
+                const nextStart = i < statements.length - 1 ? statements[i + 1].start : source.code.length;
+                // Comments on the same line stay with the statement before them
+                const inline = c => !source.code.slice(c.owner.end, c.start).includes('\n');
+                const around = comments
+                    .filter(c => c.start >= previousEnd && c.end <= nextStart && (c.end <= statement.start || c.start >= statement.end))
+                    .map(c => ({ ...c, owner: c.end <= statement.start ? statements[i - 1] || { end: -1 } : statement }));
+                const leading = around.filter(c => c.end <= statement.start && (i === 0 || !inline(c)));
+                const trailing = around.filter(c => c.start >= statement.end && (inline(c) || i === statements.length - 1));
+                const note = leading.map(c => source.code.slice(c.start, c.end)).join('\n');
+                const after = trailing.map(c => `${inline(c) ? ' ' : '\n'}${source.code.slice(c.start, c.end)}`).join('');
+                const text = node => this.slice(source.code, node, renames);
+                const kind = this.classify(statement);
+                if (kind === 'tempo') {
+                    tempos.push({ text: text(statement), source: source.name });
+                } else if (kind === 'global') {
+                    globals.push({ text: text(statement), callee: this.calleeName(statement), source: source.name, note, after });
+                } else if (kind === 'layer' || statement === playing) {
+                    const name = kind === 'layer' ? statement.label.name : null;
+                    if (name && name !== '$' && name !== '_$') {
+                        if (labels.has(name)) conflicts.push(`Label ${name}: used by ${labels.get(name)} and ${source.name} — relabelled`);
+                        else labels.set(name, source.name);
+                    }
+                    const muted = name ? name.startsWith('_') : false;
+                    const expression = kind === 'layer' ? statement.body.expression : statement.expression;
+                    layers.push({
+                        key: `${source.id ?? source.name}:${ordinal++}`,
+                        text: text(expression),
+                        chainable: ['CallExpression', 'MemberExpression', 'Identifier', 'Literal', 'TemplateLiteral'].includes(expression.type),
+                        muted,
+                        source: source.name,
+                        note,
+                        after
+                    });
+                } else {
+                    prelude.push({ text: text(statement), source: source.name, note, after });
+                }
+            });
+        });
+        if (layers.length === 0) return { code: '', layers: [], conflicts };
+        const header = [];
+        if (tempo) {
+            header.push(tempo);
+        } else if (tempos.length) {
+            header.push(tempos[0].text);
+            const normalize = value => value.replace(/\s+|;$/g, '');
+            tempos.filter(t => normalize(t.text) !== normalize(tempos[0].text)).forEach(t => {
+                conflicts.push(`Tempo: ${t.source} sets ${t.text.replace(/;$/, '')} — keeping ${tempos[0].text.replace(/;$/, '')} from ${tempos[0].source}`);
+            });
+        }
+        const kept = [];
+        globals.forEach(global => {
+            const same = kept.find(k => k.text.replace(/\s+/g, '') === global.text.replace(/\s+/g, ''));
+            if (same) return;
+            const rival = kept.find(k => k.callee === global.callee && this.exclusiveCalls.includes(global.callee));
+            if (rival) {
+                conflicts.push(`${global.callee}: ${global.source} and ${rival.source} disagree — keeping ${rival.source}`);
+                return;
+            }
+            kept.push(global);
+        });
+        [...kept, ...prelude].forEach(item => {
+            if (item.note) header.push(item.note);
+            header.push(`${/^[([`+\-/]/.test(item.text) ? ';' : ''}${item.text}${item.after}`);
+        });
+        const keys = layers.map(layer => layer.key);
+        const layerInfo = [];
+        const blocks = layers.map((layer, i) => {
+            const { chain = '', muted = false } = strip ? strip(layer.key, keys) : {};
+            const label = `${layer.muted || muted ? '_' : ''}p${i + 1}`;
+            const text = chain ? `${layer.chainable ? layer.text : `(${layer.text})`}${chain}` : layer.text;
+            layerInfo.push({ key: layer.key, label, source: layer.source });
+            return `${layer.note ? `${layer.note}\n` : ''}${label}: ${text}${layer.after}`;
+        });
+        const code = [header.join('\n'), blocks.join('\n\n')].filter(Boolean).join('\n');
+        acorn.parse(code, this.parseOptions);
+        return { code, layers: layerInfo, conflicts };
+    }
+
+    /**
+     * Sets method calls on the outer chain of every playing expression: calls already in the
+     * chain are replaced whatever their argument (constant or modulated), the rest are appended.
+     * A `null` argument removes the call instead.
+     * @param {string} code - Program to rewrite.
+     * @param {Object<string, string|null>} calls - Method name to argument source, e.g. `{ lpf: '800', distort: null }`.
+     * @returns {{code: string, layers: number}}
+     */
+    applyChainCalls(code, calls) {
+        if (typeof acorn === 'undefined') throw new Error('JavaScript parser not loaded');
+        const statements = acorn.parse(code, this.parseOptions).body;
+        const labelled = statements.some(statement => statement.type === 'LabeledStatement');
+        const expressions = labelled
+            ? statements.filter(statement => this.classify(statement) === 'layer').map(statement => statement.body.expression)
+            : [[...statements].reverse().find(statement => this.classify(statement) === 'pattern')].filter(Boolean).map(statement => statement.expression);
+        if (expressions.length === 0) throw new Error('no playing pattern found');
+        const edits = [];
+        expressions.forEach(expression => {
+            const found = new Set();
+            let node = expression;
+            while (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed) {
+                const name = node.callee.property.name;
+                if (Object.hasOwn(calls, name)) {
+                    found.add(name);
+                    edits.push(calls[name] === null
+                        ? { start: node.callee.object.end, end: node.end, text: '' }
+                        : { start: node.callee.property.start, end: node.end, text: `${name}(${calls[name]})` });
+                }
+                node = node.callee.object;
+            }
+            const chain = Object.keys(calls).filter(name => !found.has(name) && calls[name] !== null).map(name => `.${name}(${calls[name]})`).join('');
+            if (!chain) return;
+            if (['CallExpression', 'MemberExpression', 'Identifier', 'Literal', 'TemplateLiteral'].includes(expression.type)) {
+                edits.push({ start: expression.end, end: expression.end, text: chain });
+            } else {
+                edits.push({ start: expression.start, end: expression.start, text: '(' }, { start: expression.end, end: expression.end, text: `)${chain}` });
+            }
+        });
+        const result = edits
+            .sort((a, b) => b.start - a.start)
+            .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), code);
+        acorn.parse(result, this.parseOptions);
+        return { code: result, layers: expressions.length };
+    }
+
+    classify(statement) {
+        if (statement.type === 'LabeledStatement') {
+            return statement.body.type === 'ExpressionStatement' ? 'layer' : 'prelude';
+        }
+        if (statement.type !== 'ExpressionStatement') return 'prelude';
+        const callee = this.calleeName(statement);
+        if (this.tempoCalls.includes(callee)) return 'tempo';
+        if (this.globalCalls.includes(callee)) return 'global';
+        return 'pattern';
+    }
+
+    calleeName(statement) {
+        let expression = statement.expression;
+        if (expression.type === 'AwaitExpression') expression = expression.argument;
+        return expression.type === 'CallExpression' && expression.callee.type === 'Identifier' ? expression.callee.name : null;
+    }
+
+    slice(code, node, renames) {
+        let text = '';
+        let position = node.start;
+        renames.filter(r => r.start >= node.start && r.end <= node.end).forEach(r => {
+            text += code.slice(position, r.start) + r.text;
+            position = r.end;
+        });
+        return text + code.slice(position, node.end);
+    }
+
+    renameDeclarations(program, source, declared, conflicts) {
+        const names = new Set();
+        program.body.forEach(statement => {
+            if (statement.type === 'VariableDeclaration') {
+                statement.declarations.forEach(declaration => this.collectBindings(declaration.id, names));
+            } else if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+                names.add(statement.id.name);
+            }
+        });
+        const used = new Set();
+        this.walk(program, node => {
+            if (node.type === 'Identifier') used.add(node.name);
+        });
+        const mapping = {};
+        names.forEach(name => {
+            if (!declared.has(name)) {
+                declared.set(name, source.name);
+                return;
+            }
+            let index = 2;
+            while (declared.has(`${name}_${index}`) || used.has(`${name}_${index}`)) index++;
+            mapping[name] = `${name}_${index}`;
+            declared.set(mapping[name], source.name);
+            conflicts.push(`${name}: declared by ${declared.get(name)} and ${source.name} — renamed to ${mapping[name]} in ${source.name}`);
+        });
+        const renames = [];
+        if (Object.keys(mapping).length === 0) return renames;
+        this.walk(program, (node, parent) => {
+            if (node.type === 'Property' && node.shorthand && node.value.type === 'Identifier' && mapping[node.value.name]) {
+                renames.push({ start: node.start, end: node.end, text: `${node.key.name}: ${mapping[node.value.name]}` });
+                return false;
+            }
+            if (node.type !== 'Identifier' || !mapping[node.name]) return;
+            if (parent && parent.type === 'MemberExpression' && parent.property === node && !parent.computed) return;
+            if (parent && (parent.type === 'Property' || parent.type === 'MethodDefinition') && parent.key === node && !parent.computed) return;
+            renames.push({ start: node.start, end: node.end, text: mapping[node.name] });
+        });
+        return renames.sort((a, b) => a.start - b.start);
+    }
+
+    collectBindings(pattern, names) {
+        if (!pattern) return;
+        if (pattern.type === 'Identifier') names.add(pattern.name);
+        else if (pattern.type === 'ObjectPattern') pattern.properties.forEach(p => this.collectBindings(p.type === 'RestElement' ? p.argument : p.value, names));
+        else if (pattern.type === 'ArrayPattern') pattern.elements.forEach(e => this.collectBindings(e, names));
+        else if (pattern.type === 'RestElement') this.collectBindings(pattern.argument, names);
+        else if (pattern.type === 'AssignmentPattern') this.collectBindings(pattern.left, names);
+    }
+
+    walk(node, visit, parent = null) {
+        if (visit(node, parent) === false) return;
+        Object.values(node).forEach(value => {
+            if (Array.isArray(value)) value.forEach(child => child && typeof child.type === 'string' && this.walk(child, visit, node));
+            else if (value && typeof value.type === 'string') this.walk(value, visit, node);
+        });
+    }
+}